@@ -12,6 +12,8 @@ import { start } from './server/server.js';
 import indexRoutes from './server/routes/index.js';
 import authRoutes from './server/routes/auth.js';
 import rtmsRoutes from './server/routes/rtms.js';
+import meetingRoutes from './server/routes/meetings.js';
+import adminRoutes from './server/routes/admin.js';
 
 import { appName, port, redirectUri } from './config.js';
 
@@ -88,7 +90,14 @@ const headers = {
 
 app.use(helmet(headers));
 
-app.use(express.json());
+// keep the raw body for webhook signature verification
+app.use(
+    express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        },
+    })
+);
 app.use(compression());
 app.use(cookieParser());
 app.use(express.urlencoded({ extended: false }));
@@ -101,12 +110,20 @@ app.use(express.static(staticDir));
 app.use('/', indexRoutes);
 app.use('/auth', authRoutes);
 app.use('/', rtmsRoutes);
+app.use('/api/meetings', meetingRoutes);
+app.use('/api/admin', adminRoutes);
 
 // eslint-disable-next-line no-unused-vars
 app.use((err, req, res, next) => {
     const status = err.status || 500;
     const title = `Error ${err.status}`;
 
+    // API clients get JSON instead of the error page
+    if (req.originalUrl.startsWith('/api/')) {
+        dbg(`${title} %s`, err.message);
+        return res.status(status).json({ error: err.message });
+    }
+
     // set locals, only providing error in development
     res.locals.message = err.message;
     res.locals.error = req.app.get('env') === 'development' ? err : {};
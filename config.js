@@ -48,6 +48,76 @@ export const redirectUri = zoomApp.redirectUrl;
 // HTTP
 export const port = config.PORT || '3000';
 
+// RTMS audio capture (opt-in)
+export const rtmsAudio = {
+    enabled: config.RTMS_AUDIO === 'true',
+    multiStream: config.RTMS_AUDIO_MULTI_STREAM === 'true',
+    dir: config.RTMS_AUDIO_DIR || 'recordings',
+};
+
+// RTMS reconnect budget and backoff
+export const rtmsReconnect = {
+    maxAttempts: Number(config.RTMS_RECONNECT_MAX_ATTEMPTS || 5),
+    baseDelay: Number(config.RTMS_RECONNECT_BASE_DELAY_MS || 1000),
+    maxDelay: Number(config.RTMS_RECONNECT_MAX_DELAY_MS || 30000),
+};
+
+// RTMS media payload encryption (opt-in)
+export const rtmsEncryption = config.RTMS_PAYLOAD_ENCRYPTION === 'true';
+
+// Zoom webhook signature verification
+export const zoomWebhook = {
+    secretToken: config.ZOOM_SECRET_TOKEN || zoomApp.clientSecret,
+    maxAge: Number(config.ZOOM_WEBHOOK_MAX_AGE_SECONDS || 300),
+};
+
+// Webhooks kept in the event log for duplicate detection and inspection
+export const webhookLog = {
+    maxEntries: Number(config.WEBHOOK_LOG_SIZE || 500),
+};
+
+// Bearer token for the /api/admin routes, which are disabled without it
+export const adminToken = config.ADMIN_TOKEN;
+
+// Transcript storage: memory, file (JSONL) or sqlite
+export const storage = {
+    driver: config.STORAGE_DRIVER || 'memory',
+    dir: config.STORAGE_DIR || 'data',
+};
+
+// Recent utterances kept per live meeting for clients resuming with sinceSeq
+export const liveTranscripts = {
+    bufferSize: Number(config.TRANSCRIPT_BUFFER_SIZE || 200),
+};
+
+// /transcript-ws liveness checks and per-client outbound limits; a client
+// over its limit has its oldest messages dropped or is disconnected
+export const transcriptSocket = {
+    pingIntervalMs: Number(config.WS_PING_INTERVAL_MS || 30000),
+    maxQueuedMessages: Number(config.WS_MAX_QUEUED_MESSAGES || 500),
+    maxBufferedBytes: Number(config.WS_MAX_BUFFERED_BYTES || 1024 * 1024),
+    slowClientPolicy:
+        config.WS_SLOW_CLIENT_POLICY === 'disconnect' ? 'disconnect' : 'drop',
+};
+
+// Signed tokens that let a Zoom App client subscribe to its meeting's live
+// transcript; set SUBSCRIPTION_TOKENS_REQUIRED=false to test without Zoom
+export const subscriptionTokens = {
+    secret: config.SUBSCRIPTION_TOKEN_SECRET || zoomApp.sessionSecret,
+    ttlSeconds: Number(config.SUBSCRIPTION_TOKEN_TTL_SECONDS || 900),
+    // renewals stop this long after the first token was issued
+    maxLifetimeSeconds: Number(
+        config.SUBSCRIPTION_TOKEN_MAX_LIFETIME_SECONDS || 8 * 60 * 60
+    ),
+    required: config.SUBSCRIPTION_TOKENS_REQUIRED !== 'false',
+};
+
+// Server-Sent Events transcript streams: comment lines keep idle
+// connections open through proxies
+export const transcriptStream = {
+    heartbeatMs: Number(config.SSE_HEARTBEAT_MS || 15000),
+};
+
 // require secrets are explicitly imported
 export default {
     appName,
@@ -1,4 +1,7 @@
 import zoomSdk from '@zoom/appssdk';
+import { initTranscriptDownload } from './transcript-download.js';
+
+initTranscriptDownload();
 
 (async () => {
     try {
@@ -0,0 +1,35 @@
+/**
+ * Download the stored transcript of the page's meeting in the format picked
+ * next to the download button
+ *
+ * The meeting comes from the transcript container, which the server fills in
+ * inside Zoom, or from the meetingUuid (and token) query parameters in a
+ * browser.
+ */
+export function initTranscriptDownload() {
+    const container = document.getElementById('transcript-container');
+    const button = document.getElementById('transcript-download-button');
+    const format = document.getElementById('transcript-format');
+
+    if (!container || !button || !format) return;
+
+    const params = new URLSearchParams(window.location.search);
+    const meetingUuid =
+        container.dataset.meetingUuid || params.get('meetingUuid');
+    const token = container.dataset.subscriptionToken || params.get('token');
+
+    button.addEventListener('click', () => {
+        if (!meetingUuid) {
+            console.warn('No meeting to download a transcript for');
+            return;
+        }
+
+        let url = `/api/meetings/${encodeURIComponent(
+            meetingUuid
+        )}/export?format=${format.value}`;
+        console.log('⬇️ Downloading transcript:', url);
+
+        if (token) url += `&token=${encodeURIComponent(token)}`;
+        window.location.href = url;
+    });
+}
@@ -0,0 +1,86 @@
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import { MockRtmsServer, defaultScript } from '../server/mock/rtms-server.js';
+import { port, zoomApp, zoomWebhook } from '../config.js';
+
+// Run a local mock RTMS server and point the app at it with a webhook
+//
+//   node scripts/mock-rtms.js [--app-url http://localhost:3000]
+//       [--script steps.json] [--port 9092] [--meeting <uuid>] [--stream <id>]
+//       [--no-webhook] [--stop]
+
+const { values: args } = parseArgs({
+    options: {
+        'app-url': { type: 'string', default: `http://localhost:${port}` },
+        script: { type: 'string' },
+        port: { type: 'string', default: '0' },
+        meeting: { type: 'string' },
+        stream: { type: 'string' },
+        'no-webhook': { type: 'boolean', default: false },
+        stop: { type: 'boolean', default: false },
+    },
+});
+
+const script = args.script
+    ? JSON.parse(await fs.readFile(args.script, 'utf-8'))
+    : defaultScript;
+
+const mock = new MockRtmsServer({
+    clientId: zoomApp.clientId,
+    clientSecret: zoomApp.clientSecret,
+    secretToken: zoomWebhook.secretToken,
+    meetingUuid: args.meeting,
+    streamId: args.stream,
+    port: Number(args.port),
+    script,
+});
+
+mock.on('handshake', ({ msg, valid }) =>
+    console.log(
+        `🤝 HANDSHAKE msg_type ${msg.msg_type}:`,
+        valid ? 'valid' : 'REJECTED'
+    )
+);
+mock.on('ready', () =>
+    console.log('✅ CLIENT_READY_ACK received - playing script')
+);
+mock.on('step', (step) => console.log('▶️  STEP:', step));
+mock.on('keep-alive-response', ({ socket }) =>
+    console.log(`💓 KEEP_ALIVE_RESP on ${socket} socket`)
+);
+mock.on('error', (err) => console.error('❌ MOCK RTMS ERROR:', err.message));
+
+const { signalingUrl } = await mock.start();
+console.log('🧪 MOCK RTMS SERVER:', {
+    signalingUrl,
+    meetingUuid: mock.meetingUuid,
+    streamId: mock.streamId,
+});
+
+const shutdown = async () => {
+    await mock.stop();
+    process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+
+mock.on('done', async () => {
+    console.log('🏁 SCRIPT FINISHED');
+    if (!args.stop) return;
+
+    if (!args['no-webhook'])
+        await mock.postWebhook(args['app-url'], 'meeting.rtms_stopped');
+    await shutdown();
+});
+
+if (!args['no-webhook']) {
+    try {
+        await mock.postWebhook(args['app-url']);
+        console.log(
+            `📮 meeting.rtms_started posted to ${args['app-url']}/webhook`
+        );
+    } catch (e) {
+        console.error('❌ WEBHOOK FAILED:', e.message);
+        await shutdown();
+    }
+}
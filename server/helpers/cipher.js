@@ -94,3 +94,64 @@ export function getAppContext(header, secret = '') {
 }
 
 export const contextHeader = 'x-zoom-app-context';
+
+const payloadIvLength = 12;
+const payloadTagLength = 16;
+
+/**
+ * Derive the AES-256 key used for RTMS media payloads from the Client Secret
+ * @param {String} [secret=''] - Client Secret for the Zoom App
+ * @return {Buffer} sha256 hash of the Client Secret
+ */
+function payloadKey(secret = '') {
+    return crypto
+        .createHash('sha256')
+        .update(secret || zoomApp.clientSecret)
+        .digest();
+}
+
+/**
+ * Encrypts an RTMS media payload as base64(iv + cipherText + tag)
+ * @param {Buffer|String} data - Plain payload to encrypt
+ * @param {String} [secret=''] - Client Secret for the Zoom App
+ * @return {String} base64 encoded encrypted payload
+ */
+export function encryptPayload(data, secret = '') {
+    const iv = crypto.randomBytes(payloadIvLength);
+    const cipher = crypto.createCipheriv('aes-256-gcm', payloadKey(secret), iv);
+
+    const cipherText = Buffer.concat([cipher.update(data), cipher.final()]);
+
+    return Buffer.concat([iv, cipherText, cipher.getAuthTag()]).toString(
+        'base64'
+    );
+}
+
+/**
+ * Decrypts a base64 encoded RTMS media payload
+ * @param {String} payload - base64(iv + cipherText + tag)
+ * @param {String} [secret=''] - Client Secret for the Zoom App
+ * @return {Buffer|Error} Decrypted payload or Error
+ */
+export function decryptPayload(payload, secret = '') {
+    if (!payload || typeof payload !== 'string')
+        throw createError(500, 'encrypted payload must be a valid string');
+
+    const buf = Buffer.from(payload, 'base64');
+
+    if (buf.length < payloadIvLength + payloadTagLength)
+        throw createError(500, 'encrypted payload is too short');
+
+    const iv = buf.subarray(0, payloadIvLength);
+    const tag = buf.subarray(buf.length - payloadTagLength);
+    const cipherText = buf.subarray(
+        payloadIvLength,
+        buf.length - payloadTagLength
+    );
+
+    const decipher = crypto
+        .createDecipheriv('aes-256-gcm', payloadKey(secret), iv)
+        .setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(cipherText), decipher.final()]);
+}
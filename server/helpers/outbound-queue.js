@@ -0,0 +1,80 @@
+/**
+ * Queue outgoing messages of a WebSocket client, so a client that reads
+ * slower than we write can't make the server buffer without limit
+ *
+ * Messages go straight to the socket while less than maxBufferedBytes is
+ * waiting to be written, and are queued otherwise. Once maxQueuedMessages
+ * are queued, the oldest is dropped ("drop" policy) or the client is
+ * disconnected ("disconnect" policy).
+ * @param {WebSocket} ws - client socket
+ * @param {Object} options
+ * @param {number} options.maxQueuedMessages - most messages to queue
+ * @param {number} options.maxBufferedBytes - most bytes to leave unsent
+ * @param {string} [options.policy='drop'] - drop or disconnect
+ * @param {Function} [options.onDrop] - called when a message is dropped
+ * @param {Function} [options.onDisconnect] - called before a client that
+ *  fell too far behind is disconnected
+ * @return {{send: Function, size: number, dropped: number}}
+ */
+export function createOutboundQueue(
+    ws,
+    {
+        maxQueuedMessages,
+        maxBufferedBytes,
+        policy = 'drop',
+        onDrop = () => {},
+        onDisconnect = () => {},
+    }
+) {
+    const queue = [];
+    let dropped = 0;
+
+    const writable = () =>
+        ws.readyState === ws.OPEN && ws.bufferedAmount < maxBufferedBytes;
+
+    // called again each time a message has been written to the socket
+    const flush = () => {
+        while (queue.length && writable()) ws.send(queue.shift(), flush);
+    };
+
+    /**
+     * Send or queue a serialized message
+     * @param {string} json - message to send
+     * @return {boolean} false if the client is gone or was disconnected
+     */
+    const send = (json) => {
+        if (ws.readyState !== ws.OPEN) return false;
+
+        if (!queue.length && writable()) {
+            ws.send(json, flush);
+            return true;
+        }
+
+        if (queue.length >= maxQueuedMessages) {
+            if (policy === 'disconnect') {
+                queue.length = 0;
+                onDisconnect();
+                // a close frame would wait behind everything still buffered
+                ws.terminate();
+                return false;
+            }
+
+            queue.shift();
+            dropped += 1;
+            onDrop();
+        }
+
+        queue.push(json);
+        return true;
+    };
+
+    return {
+        send,
+        get size() {
+            return queue.length;
+        },
+        get dropped() {
+            return dropped;
+        },
+    };
+}
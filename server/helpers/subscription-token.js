@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import { adminToken, subscriptionTokens } from '../../config.js';
+
+const sign = (payload) =>
+    crypto
+        .createHmac('sha256', subscriptionTokens.secret)
+        .update(payload)
+        .digest('base64url');
+
+/**
+ * Compare two strings in constant time
+ */
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Issue a short-lived token that authorizes subscribing to one meeting's
+ * live transcript
+ *
+ * A renewed token keeps the issue time of the first one, and no token
+ * outlives it by more than the maximum lifetime.
+ * @param {Object} claims
+ * @param {string} claims.meetingUuid - the only meeting the token is for
+ * @param {string} [claims.userId] - Zoom user the token was issued to
+ * @param {number} [claims.issuedAt] - issue time of the token being renewed (ms)
+ * @return {{token: string, expiresAt: number}} token and its expiry in ms
+ */
+export function createSubscriptionToken({
+    meetingUuid,
+    userId,
+    issuedAt = Date.now(),
+}) {
+    const expiresAt = Math.min(
+        Date.now() + subscriptionTokens.ttlSeconds * 1000,
+        issuedAt + subscriptionTokens.maxLifetimeSeconds * 1000
+    );
+    const payload = Buffer.from(
+        JSON.stringify({
+            mid: meetingUuid,
+            uid: userId ?? null,
+            iat: issuedAt,
+            exp: expiresAt,
+        })
+    ).toString('base64url');
+
+    return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Renew a subscriber's token
+ * @param {Object} claims - claims of the current token, from
+ *  verifySubscriptionToken
+ * @return {{token: string, expiresAt: number}|null} the new token, or null
+ *  once the maximum lifetime leaves nothing to extend
+ */
+export function refreshSubscriptionToken(claims) {
+    const renewed = createSubscriptionToken(claims);
+    return renewed.expiresAt > claims.expiresAt ? renewed : null;
+}
+
+/**
+ * Check a subscription token's signature and expiry
+ * @param {string} token - token from createSubscriptionToken
+ * @return {Object|null} {meetingUuid, userId, issuedAt, expiresAt}, or null
+ *  if the token is invalid, has no issue time or has expired
+ */
+export function verifySubscriptionToken(token) {
+    const [payload, signature, ...rest] = String(token || '').split('.');
+    if (!payload || !signature || rest.length) return null;
+    if (!safeEqual(signature, sign(payload))) return null;
+
+    try {
+        const { mid, uid, iat, exp } = JSON.parse(
+            Buffer.from(payload, 'base64url').toString('utf-8')
+        );
+        if (!mid || !Number.isFinite(iat) || !(exp > Date.now())) return null;
+
+        return {
+            meetingUuid: mid,
+            userId: uid,
+            issuedAt: iat,
+            expiresAt: exp,
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Check whether a bearer token is the ADMIN_TOKEN
+ * @param {string} token - bearer token
+ * @return {boolean} false when no ADMIN_TOKEN is set
+ */
+export function isAdminToken(token) {
+    return !!adminToken && !!token && safeEqual(token, adminToken);
+}
+
+/**
+ * Get the token a subscriber sent, from an "Authorization: Bearer" header or
+ * a token query parameter (browsers can't set WebSocket headers)
+ * @param {http.IncomingMessage} req - HTTP or WebSocket upgrade request
+ * @return {string|undefined}
+ */
+export function tokenFromRequest(req) {
+    const header = req.headers.authorization || '';
+    if (/^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, '');
+
+    return (
+        new URL(req.url, 'http://localhost').searchParams.get('token') ||
+        undefined
+    );
+}
+
+/**
+ * Work out what a subscriber may read from the token it sent
+ * @param {string} [token] - subscription token or ADMIN_TOKEN
+ * @return {Object|null} {admin: true} for the admin token, the token's
+ *  claims for a valid subscription token, null otherwise
+ */
+export function authorizeSubscriber(token) {
+    if (isAdminToken(token)) return { admin: true };
+    return verifySubscriptionToken(token);
+}
+
+/**
+ * Check whether a subscriber may read a meeting's live transcript
+ * @param {Object|null} auth - result of authorizeSubscriber
+ * @param {string} meetingUuid - Meeting UUID
+ * @return {boolean}
+ */
+export function canSubscribe(auth, meetingUuid) {
+    if (!subscriptionTokens.required || auth?.admin) return true;
+    return (
+        !!auth &&
+        auth.meetingUuid === meetingUuid &&
+        auth.expiresAt > Date.now()
+    );
+}
+
+/**
+ * Check that a request carries a subscription token or ADMIN_TOKEN for a
+ * meeting, failing with a 401 when it may not read it
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {string} meetingUuid - Meeting UUID
+ */
+export function authorizeRequest(req, meetingUuid) {
+    const auth = authorizeSubscriber(tokenFromRequest(req));
+    if (!canSubscribe(auth, meetingUuid)) {
+        const e = new Error('not authorized to read this meeting');
+        e.code = 401;
+        throw e;
+    }
+}
@@ -0,0 +1,206 @@
+import { toMillis } from './utterance.js';
+
+// Caption line length recommended for subtitles, and for text documents
+const captionWidth = 42;
+const textWidth = 80;
+
+// Cue length estimate when Zoom sends no end time
+const msPerWord = 400;
+const minCueMs = 1000;
+const maxCueMs = 7000;
+
+/**
+ * Export formats with their content type and file extension
+ */
+export const exportFormats = {
+    vtt: { contentType: 'text/vtt', extension: 'vtt' },
+    srt: { contentType: 'application/x-subrip', extension: 'srt' },
+    txt: { contentType: 'text/plain', extension: 'txt' },
+    md: { contentType: 'text/markdown', extension: 'md' },
+    json: { contentType: 'application/json', extension: 'json' },
+};
+
+/**
+ * Break text into lines of at most width characters, keeping words whole
+ * @param {string} text - text to wrap
+ * @param {number} width - maximum line length
+ * @return {string[]}
+ */
+export function wrapText(text, width) {
+    const lines = [];
+    let line = '';
+
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+        if (line && line.length + 1 + word.length > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * Format an offset in milliseconds as HH:MM:SS plus milliseconds
+ * @param {number} ms - offset from the start of the meeting
+ * @param {string} [separator='.'] - "." for WebVTT, "," for SRT, "" to drop ms
+ * @return {string}
+ */
+export function formatOffset(ms, separator = '.') {
+    const total = Math.max(0, Math.round(ms));
+    const pad = (n, size = 2) => String(n).padStart(size, '0');
+
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor(total / 60000) % 60;
+    const seconds = Math.floor(total / 1000) % 60;
+    const clock = `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+
+    return separator ? `${clock}${separator}${pad(total % 1000, 3)}` : clock;
+}
+
+/**
+ * Lay utterances out as cues with start and end offsets from the meeting
+ * start. Zoom's start/end times are used when present; otherwise a cue
+ * lasts as long as it takes to say it, without running into the next one.
+ * @param {Object} meeting - stored meeting
+ * @param {Object[]} utterances - utterances in order
+ * @return {Object[]} cues with start, end, speaker and text
+ */
+export function buildCues(meeting, utterances) {
+    const startOf = (u) => toMillis(u.startTime) ?? toMillis(u.timestamp);
+
+    const first = utterances.length ? startOf(utterances[0]) : null;
+    const origin = Math.min(
+        ...[toMillis(meeting?.startedAt), first].filter((t) => t !== null)
+    );
+
+    return utterances.map((u, i) => {
+        const start = startOf(u) - origin;
+        const words = String(u.transcript || '').split(/\s+/).length;
+        const next = utterances[i + 1];
+
+        let end = toMillis(u.endTime);
+        if (end === null) {
+            end =
+                start +
+                Math.min(maxCueMs, Math.max(minCueMs, words * msPerWord));
+            if (next) end = Math.min(end, startOf(next) - origin);
+
+            // utterances starting together can't avoid overlapping
+            if (end <= start) end = start + minCueMs;
+        } else {
+            end -= origin;
+        }
+
+        return {
+            id: u.id,
+            start,
+            end,
+            speaker: u.speaker || 'Unknown',
+            text: String(u.transcript || '').trim(),
+            timestamp: u.timestamp,
+        };
+    });
+}
+
+/**
+ * Escape the characters WebVTT treats as markup
+ */
+const escapeVtt = (text) =>
+    text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function toVtt(cues) {
+    const blocks = cues.map((cue) => {
+        const lines = wrapText(escapeVtt(cue.text), captionWidth);
+        return [
+            `${formatOffset(cue.start)} --> ${formatOffset(cue.end)}`,
+            `<v ${escapeVtt(cue.speaker)}>${lines.join('\n')}`,
+        ].join('\n');
+    });
+
+    return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
+
+function toSrt(cues) {
+    const blocks = cues.map((cue, i) => {
+        const lines = wrapText(`${cue.speaker}: ${cue.text}`, captionWidth);
+        return [
+            i + 1,
+            `${formatOffset(cue.start, ',')} --> ${formatOffset(cue.end, ',')}`,
+            ...lines,
+        ].join('\n');
+    });
+
+    return blocks.join('\n\n') + '\n';
+}
+
+function toText(meeting, cues) {
+    const lines = cues.flatMap((cue) => {
+        const prefix = `[${formatOffset(cue.start, '')}] ${cue.speaker}: `;
+        const [head, ...rest] = wrapText(`${prefix}${cue.text}`, textWidth);
+        return [head, ...rest.map((line) => `    ${line}`)];
+    });
+
+    return (
+        [`Transcript of meeting ${meeting.meetingUuid}`, '', ...lines].join(
+            '\n'
+        ) + '\n'
+    );
+}
+
+function toMarkdown(meeting, cues) {
+    const header = [
+        '# Meeting transcript',
+        '',
+        `- **Meeting:** ${meeting.meetingUuid}`,
+        `- **Started:** ${meeting.startedAt || 'unknown'}`,
+        `- **Ended:** ${meeting.endedAt || 'in progress'}`,
+        `- **Speakers:** ${[...new Set(cues.map((c) => c.speaker))].join(
+            ', '
+        )}`,
+        '',
+        '## Transcript',
+        '',
+    ];
+
+    // consecutive utterances by one speaker share a paragraph heading
+    const body = [];
+    cues.forEach((cue, i) => {
+        if (cues[i - 1]?.speaker !== cue.speaker) {
+            body.push(`**${cue.speaker}** _${formatOffset(cue.start, '')}_`);
+            body.push('');
+        }
+        body.push(...wrapText(cue.text, textWidth), '');
+    });
+
+    return [...header, ...body].join('\n').replace(/\n+$/, '\n');
+}
+
+/**
+ * Render a meeting transcript in one of the export formats
+ * @param {string} format - a key of exportFormats
+ * @param {Object} meeting - stored meeting
+ * @param {Object[]} utterances - the meeting's utterances in order
+ * @return {string} the rendered document
+ */
+export function formatTranscript(format, meeting, utterances) {
+    const cues = buildCues(meeting, utterances);
+
+    switch (format) {
+        case 'vtt':
+            return toVtt(cues);
+        case 'srt':
+            return toSrt(cues);
+        case 'txt':
+            return toText(meeting, cues);
+        case 'md':
+            return toMarkdown(meeting, cues);
+        case 'json':
+            return JSON.stringify({ meeting, utterances }, null, 2);
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
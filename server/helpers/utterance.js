@@ -0,0 +1,73 @@
+/**
+ * Convert an RTMS timestamp (seconds, milliseconds or microseconds since the
+ * epoch) to milliseconds
+ * @param {number|string} value - timestamp from Zoom
+ * @return {number|null} milliseconds since the epoch or null if invalid
+ */
+export function toMillis(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const n = Number(value);
+    if (!Number.isFinite(n)) {
+        const parsed = Date.parse(value);
+        return Number.isNaN(parsed) ? null : parsed;
+    }
+
+    if (n > 1e14) return Math.round(n / 1000); // microseconds
+    if (n > 1e11) return n; // milliseconds
+    return n * 1000; // seconds
+}
+
+const toISO = (ms) => (ms === null ? null : new Date(ms).toISOString());
+
+/**
+ * Build a normalized utterance record from RTMS transcript content
+ *
+ * `timestamp` is the time Zoom reports for the utterance (falling back to
+ * the receive time) and `receivedAt` is when this server got it, so
+ * `latencyMs` measures delivery delay. `transcript` and `speaker` are kept
+ * for existing consumers.
+ * @param {Object} content - msg.content of a msg_type 17 message
+ * @param {Object} meta
+ * @param {string} meta.meetingUuid - Meeting UUID
+ * @param {string} [meta.streamId] - RTMS stream ID
+ * @param {Date} [meta.receivedAt=new Date()] - when the message arrived
+ * @return {Object} utterance record
+ */
+export function normalizeUtterance(
+    content,
+    { meetingUuid, streamId, receivedAt = new Date() }
+) {
+    const {
+        data,
+        user_id,
+        user_name,
+        timestamp,
+        start_time,
+        end_time,
+        language,
+        ...rest
+    } =
+        typeof content === 'object' && content !== null
+            ? content
+            : { data: content };
+
+    const received = receivedAt.getTime();
+    const spoken = toMillis(timestamp);
+
+    return {
+        meetingUuid,
+        streamId,
+        transcript: data,
+        speaker: user_name || 'Unknown',
+        userId: user_id ?? null,
+        userName: user_name || null,
+        language: language ?? null,
+        timestamp: toISO(spoken ?? received),
+        startTime: toISO(toMillis(start_time)),
+        endTime: toISO(toMillis(end_time)),
+        receivedAt: toISO(received),
+        latencyMs: spoken === null ? null : received - spoken,
+        content: rest,
+    };
+}
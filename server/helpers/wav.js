@@ -0,0 +1,42 @@
+const headerLength = 44;
+
+/**
+ * Build a canonical 44 byte RIFF/WAVE header for linear PCM data
+ * @param {number} dataLength - Size of the PCM data chunk in bytes
+ * @param {Object} [format] - PCM format of the data chunk
+ * @param {number} [format.sampleRate=16000] - Samples per second
+ * @param {number} [format.channels=1] - Number of interleaved channels
+ * @param {number} [format.bitDepth=16] - Bits per sample
+ * @return {Buffer} WAV header
+ */
+export function wavHeader(
+    dataLength,
+    { sampleRate = 16000, channels = 1, bitDepth = 16 } = {}
+) {
+    const blockAlign = (channels * bitDepth) / 8;
+    const byteRate = sampleRate * blockAlign;
+
+    const buf = Buffer.alloc(headerLength);
+
+    buf.write('RIFF', 0, 'ascii');
+    buf.writeUInt32LE(headerLength - 8 + dataLength, 4);
+    buf.write('WAVE', 8, 'ascii');
+
+    // fmt sub-chunk
+    buf.write('fmt ', 12, 'ascii');
+    buf.writeUInt32LE(16, 16);
+    buf.writeUInt16LE(1, 20); // PCM
+    buf.writeUInt16LE(channels, 22);
+    buf.writeUInt32LE(sampleRate, 24);
+    buf.writeUInt32LE(byteRate, 28);
+    buf.writeUInt16LE(blockAlign, 32);
+    buf.writeUInt16LE(bitDepth, 34);
+
+    // data sub-chunk
+    buf.write('data', 36, 'ascii');
+    buf.writeUInt32LE(dataLength, 40);
+
+    return buf;
+}
+
+export const wavHeaderLength = headerLength;
@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+import debug from 'debug';
+import { zoomWebhook } from '../../config.js';
+
+const dbg = debug('zoom-app:zoom-webhook');
+
+export const signatureHeader = 'x-zm-signature';
+export const timestampHeader = 'x-zm-request-timestamp';
+
+/**
+ * Sign a webhook body the way Zoom does: v0=HMAC-SHA256("v0:<ts>:<body>")
+ * @param {string|Buffer} body - raw request body
+ * @param {string|number} timestamp - request timestamp in seconds
+ * @param {string} [secret] - webhook Secret Token
+ * @return {string} x-zm-signature header value
+ */
+export function signWebhook(body, timestamp, secret = zoomWebhook.secretToken) {
+    const hash = crypto
+        .createHmac('sha256', secret)
+        .update(`v0:${timestamp}:${body}`)
+        .digest('hex');
+
+    return `v0=${hash}`;
+}
+
+/**
+ * Express middleware rejecting webhooks that are unsigned, wrongly signed or
+ * older than the replay window with a 401
+ * Needs the raw body, which express.json keeps as req.rawBody
+ */
+export function verifyWebhook(req, res, next) {
+    const signature = req.header(signatureHeader);
+    const timestamp = req.header(timestampHeader);
+
+    const fail = (reason) => {
+        console.log('🚫 REJECTED WEBHOOK:', { reason, ip: req.ip });
+        dbg(`Rejected webhook: ${reason}`);
+        res.status(401).json({ error: 'invalid webhook signature' });
+    };
+
+    if (!signature || !timestamp || !req.rawBody) {
+        return fail('missing signature, timestamp or body');
+    }
+
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(age) || age > zoomWebhook.maxAge) {
+        return fail(`timestamp outside the ${zoomWebhook.maxAge}s window`);
+    }
+
+    const expected = Buffer.from(signWebhook(req.rawBody, timestamp));
+    const actual = Buffer.from(signature);
+
+    if (
+        actual.length !== expected.length ||
+        !crypto.timingSafeEqual(actual, expected)
+    ) {
+        return fail('signature mismatch');
+    }
+
+    next();
+}
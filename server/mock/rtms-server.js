@@ -0,0 +1,484 @@
+import crypto from 'crypto';
+import http from 'http';
+import { EventEmitter } from 'events';
+import axios from 'axios';
+import debug from 'debug';
+import { WebSocketServer } from 'ws';
+import { encryptPayload } from '../helpers/cipher.js';
+import { sessionStates, streamStates } from '../services/rtms-events.js';
+import {
+    signatureHeader,
+    signWebhook,
+    timestampHeader,
+} from '../helpers/zoom-webhook.js';
+
+const dbg = debug('zoom-app:mock-rtms');
+
+// status_code sent back when a handshake signature does not match
+const STATUS_INVALID_SIGNATURE = 3;
+
+/**
+ * Default script: a short conversation with a keep-alive in between
+ */
+export const defaultScript = [
+    {
+        type: 'transcript',
+        userId: 16778240,
+        userName: 'Alice',
+        text: 'Hi everyone, can you hear me?',
+    },
+    {
+        type: 'transcript',
+        userId: 16779264,
+        userName: 'Bob',
+        text: 'Yes, loud and clear.',
+    },
+    { type: 'keep-alive', socket: 'signaling' },
+    { type: 'keep-alive', socket: 'media' },
+    {
+        type: 'transcript',
+        userId: 16778240,
+        userName: 'Alice',
+        text: "Great, let's get started.",
+    },
+];
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Local stand-in for the Zoom RTMS signaling and media servers
+ *
+ * Validates the handshake signatures, answers the signaling and data
+ * handshakes and, once the client sends CLIENT_READY_ACK, plays a script of
+ * transcript, audio, keep-alive, stream-state, session-state,
+ * participant-join, participant-leave, raw and disconnect steps.
+ *
+ * Events: handshake, ready, keep-alive-response, message, step, done, error
+ */
+export class MockRtmsServer extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.clientId - Client ID used to sign handshakes
+     * @param {string} options.clientSecret - Client Secret used to sign handshakes
+     * @param {string} [options.secretToken] - webhook Secret Token used to sign webhooks
+     * @param {string} [options.meetingUuid] - Meeting UUID to stream for
+     * @param {string} [options.streamId] - RTMS stream ID to stream for
+     * @param {Object[]} [options.script] - steps played after CLIENT_READY_ACK
+     * @param {number} [options.stepDelay=200] - default delay before each step (ms)
+     * @param {string} [options.host='localhost'] - host to listen on
+     * @param {number} [options.port=0] - port to listen on, random if 0
+     */
+    constructor({
+        clientId,
+        clientSecret,
+        secretToken,
+        meetingUuid = `mock-meeting-${crypto.randomBytes(6).toString('hex')}==`,
+        streamId = crypto.randomBytes(16).toString('hex'),
+        script = defaultScript,
+        stepDelay = 200,
+        host = 'localhost',
+        port = 0,
+    }) {
+        super();
+
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.secretToken = secretToken;
+        this.meetingUuid = meetingUuid;
+        this.streamId = streamId;
+        this.script = script;
+        this.stepDelay = stepDelay;
+        this.host = host;
+        this.port = port;
+
+        this.sockets = {};
+        this.encrypted = false;
+        this.received = [];
+    }
+
+    get signalingUrl() {
+        return `ws://${this.host}:${this.port}/signaling`;
+    }
+
+    get mediaUrl() {
+        return `ws://${this.host}:${this.port}/media`;
+    }
+
+    /**
+     * Start listening for RTMS clients
+     * @return {Promise<{signalingUrl: string, mediaUrl: string}>}
+     */
+    async start() {
+        this.server = http.createServer((req, res) => {
+            res.writeHead(426);
+            res.end();
+        });
+
+        this.wss = new WebSocketServer({ noServer: true });
+
+        this.server.on('upgrade', (req, socket, head) => {
+            const { pathname } = new URL(req.url, this.signalingUrl);
+            const kind = pathname.replace(/^\//, '');
+
+            if (kind !== 'signaling' && kind !== 'media') {
+                socket.destroy();
+                return;
+            }
+
+            this.wss.handleUpgrade(req, socket, head, (ws) =>
+                this.handleConnection(kind, ws)
+            );
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+
+        this.port = this.server.address().port;
+        dbg(`Mock RTMS server listening on ${this.signalingUrl}`);
+
+        return { signalingUrl: this.signalingUrl, mediaUrl: this.mediaUrl };
+    }
+
+    /**
+     * Close every client socket and stop listening
+     */
+    async stop() {
+        for (const ws of this.wss?.clients || []) {
+            ws.terminate();
+        }
+
+        if (this.server?.listening) {
+            await new Promise((resolve) => this.server.close(resolve));
+        }
+
+        dbg('Mock RTMS server stopped');
+    }
+
+    /**
+     * Check a handshake signature the same way Zoom does
+     */
+    isValidSignature(msg) {
+        const expected = crypto
+            .createHmac('sha256', this.clientSecret)
+            .update(
+                `${this.clientId},${msg.meeting_uuid},${msg.rtms_stream_id}`
+            )
+            .digest('hex');
+
+        const actual = Buffer.from(String(msg.signature || ''));
+        return (
+            actual.length === expected.length &&
+            crypto.timingSafeEqual(actual, Buffer.from(expected))
+        );
+    }
+
+    handleConnection(kind, ws) {
+        dbg(`${kind} client connected`);
+        this.sockets[kind] = ws;
+
+        ws.on('message', (data) => {
+            let msg;
+            try {
+                msg = JSON.parse(data.toString());
+            } catch (e) {
+                this.emit('error', new Error(`invalid JSON on ${kind} socket`));
+                return;
+            }
+
+            this.received.push({ socket: kind, msg });
+            this.emit('message', { socket: kind, msg });
+
+            if (kind === 'signaling') this.handleSignaling(ws, msg);
+            else this.handleMedia(ws, msg);
+        });
+
+        ws.on('close', () => {
+            if (this.sockets[kind] === ws) delete this.sockets[kind];
+        });
+    }
+
+    handleSignaling(ws, msg) {
+        switch (msg.msg_type) {
+            case 1: // SIGNALING_HAND_SHAKE_REQ
+                if (!this.checkHandshake(ws, msg, 2)) return;
+
+                this.send('signaling', {
+                    msg_type: 2, // SIGNALING_HAND_SHAKE_RESP
+                    protocol_version: 1,
+                    status_code: 0,
+                    media_server: {
+                        server_urls: {
+                            audio: this.mediaUrl,
+                            transcript: this.mediaUrl,
+                            all: this.mediaUrl,
+                        },
+                    },
+                });
+                break;
+            case 7: // CLIENT_READY_ACK
+                this.emit('ready', msg);
+
+                // a reconnecting client acks again; the script only plays once
+                if (!this.playing) {
+                    this.playing = true;
+                    this.play().catch((err) => this.emit('error', err));
+                }
+                break;
+            case 13: // KEEP_ALIVE_RESP
+                this.emit('keep-alive-response', { socket: 'signaling', msg });
+                break;
+        }
+    }
+
+    handleMedia(ws, msg) {
+        switch (msg.msg_type) {
+            case 3: // DATA_HAND_SHAKE_REQ
+                if (!this.checkHandshake(ws, msg, 4)) return;
+
+                this.encrypted = !!msg.payload_encryption;
+                this.send('media', {
+                    msg_type: 4, // DATA_HAND_SHAKE_RESP
+                    protocol_version: 1,
+                    status_code: 0,
+                    media_type: msg.media_type,
+                    media_params: msg.media_params,
+                    payload_encrypted: this.encrypted,
+                });
+                break;
+            case 13: // KEEP_ALIVE_RESP
+                this.emit('keep-alive-response', { socket: 'media', msg });
+                break;
+        }
+    }
+
+    /**
+     * Validate a handshake request, rejecting it with respType on failure
+     * @return {boolean} true if the handshake is valid
+     */
+    checkHandshake(ws, msg, respType) {
+        const matchesStream =
+            msg.meeting_uuid === this.meetingUuid &&
+            msg.rtms_stream_id === this.streamId;
+        const valid = matchesStream && this.isValidSignature(msg);
+
+        this.emit('handshake', { msg, valid });
+
+        if (!valid) {
+            dbg(`Rejecting handshake msg_type ${msg.msg_type}`);
+            ws.send(
+                JSON.stringify({
+                    msg_type: respType,
+                    protocol_version: 1,
+                    status_code: STATUS_INVALID_SIGNATURE,
+                    reason: matchesStream
+                        ? 'invalid signature'
+                        : 'unknown meeting or stream',
+                })
+            );
+            ws.close();
+        }
+
+        return valid;
+    }
+
+    /**
+     * Send a JSON message on the signaling or media socket
+     */
+    send(socket, msg) {
+        const ws = this.sockets[socket];
+        if (!ws || ws.readyState !== ws.OPEN) {
+            dbg(`Cannot send on closed ${socket} socket`);
+            return false;
+        }
+
+        ws.send(JSON.stringify(msg));
+        return true;
+    }
+
+    /**
+     * Encrypt a media payload when the client negotiated encryption
+     */
+    payload(data) {
+        return this.encrypted ? encryptPayload(data, this.clientSecret) : data;
+    }
+
+    /**
+     * Play the script, one step at a time
+     */
+    async play() {
+        for (const step of this.script) {
+            await wait(step.delay ?? this.stepDelay);
+            this.runStep(step);
+            this.emit('step', step);
+        }
+
+        this.emit('done');
+    }
+
+    /**
+     * Get the numeric code of a state step's state, given as Zoom's code or
+     * its name (e.g. 'active'), reporting unknown names
+     * @param {Object} step - stream-state or session-state step
+     * @param {Object} states - map of code -> state name
+     * @return {number|undefined} undefined for an unknown state
+     */
+    stepState(step, states) {
+        if (Number.isInteger(step.state)) return step.state;
+
+        const code = Object.keys(states).find(
+            (key) => states[key] === step.state
+        );
+        if (code === undefined) {
+            this.emit(
+                'error',
+                new Error(`unknown ${step.type} state ${step.state}`)
+            );
+            return undefined;
+        }
+
+        return Number(code);
+    }
+
+    runStep(step) {
+        const timestamp = Date.now();
+
+        switch (step.type) {
+            case 'transcript':
+                this.send('media', {
+                    msg_type: 17, // MEDIA_DATA_TRANSCRIPT
+                    content: {
+                        user_id: step.userId,
+                        user_name: step.userName,
+                        data: this.payload(step.text),
+                        language: step.language,
+                        timestamp: step.timestamp ?? timestamp,
+                    },
+                });
+                break;
+            case 'audio': {
+                // 16kHz mono L16 silence, or a tone when a frequency is given
+                const samples = Math.round(
+                    (16000 * (step.duration || 100)) / 1000
+                );
+                const pcm = Buffer.alloc(samples * 2);
+                if (step.frequency) {
+                    for (let i = 0; i < samples; i++) {
+                        const v = Math.sin(
+                            (2 * Math.PI * step.frequency * i) / 16000
+                        );
+                        pcm.writeInt16LE(Math.round(v * 8000), i * 2);
+                    }
+                }
+
+                this.send('media', {
+                    msg_type: 14, // MEDIA_DATA_AUDIO
+                    content: {
+                        user_id: step.userId,
+                        data: this.encrypted
+                            ? encryptPayload(pcm, this.clientSecret)
+                            : pcm.toString('base64'),
+                        timestamp,
+                    },
+                });
+                break;
+            }
+            case 'keep-alive':
+                this.send(step.socket || 'signaling', {
+                    msg_type: 12, // KEEP_ALIVE_REQ
+                    timestamp,
+                });
+                break;
+            case 'stream-state': {
+                const state = this.stepState(step, streamStates);
+                if (state === undefined) break;
+
+                this.send('signaling', {
+                    msg_type: 8, // STREAM_STATE_UPDATE
+                    rtms_stream_id: this.streamId,
+                    state,
+                    reason: step.reason,
+                    timestamp,
+                });
+                break;
+            }
+            case 'session-state': {
+                const state = this.stepState(step, sessionStates);
+                if (state === undefined) break;
+
+                this.send('signaling', {
+                    msg_type: 9, // SESSION_STATE_UPDATE
+                    session_id: this.streamId,
+                    state,
+                    stop_reason: step.reason,
+                    timestamp,
+                });
+                break;
+            }
+            case 'participant-join':
+            case 'participant-leave':
+                this.send('signaling', {
+                    msg_type: 6, // EVENT_UPDATE
+                    event: {
+                        event_type: step.type === 'participant-join' ? 3 : 4,
+                        participants: (step.participants || []).map((p) => ({
+                            user_id: p.userId,
+                            user_name: p.userName,
+                        })),
+                        timestamp,
+                    },
+                });
+                break;
+            case 'raw':
+                this.send(step.socket || 'signaling', step.message);
+                break;
+            case 'disconnect':
+                for (const socket of step.socket
+                    ? [step.socket]
+                    : ['media', 'signaling']) {
+                    this.sockets[socket]?.close();
+                }
+                break;
+            default:
+                this.emit(
+                    'error',
+                    new Error(`unknown script step ${step.type}`)
+                );
+        }
+    }
+
+    /**
+     * POST a signed meeting.rtms_started (or other RTMS) webhook for this stream
+     * @param {string} appUrl - base URL of the app, e.g. http://localhost:3000
+     * @param {string} [event='meeting.rtms_started'] - webhook event name
+     * @return {Promise} axios response
+     */
+    postWebhook(appUrl, event = 'meeting.rtms_started') {
+        const body = JSON.stringify({
+            event,
+            event_ts: Date.now(),
+            payload: {
+                meeting_uuid: this.meetingUuid,
+                rtms_stream_id: this.streamId,
+                server_urls: this.signalingUrl,
+            },
+        });
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        dbg(`Posting ${event} webhook to ${appUrl}`);
+
+        // send the exact bytes that were signed
+        return axios.post(new URL('/webhook', appUrl).href, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                [timestampHeader]: timestamp,
+                [signatureHeader]: signWebhook(
+                    body,
+                    timestamp,
+                    this.secretToken
+                ),
+            },
+        });
+    }
+}
@@ -0,0 +1,93 @@
+import express from 'express';
+import { param, query } from 'express-validator';
+import { handleError, sanitize } from '../helpers/routing.js';
+import { isAdminToken } from '../helpers/subscription-token.js';
+import { getSocketMetrics } from '../services/socket-metrics.js';
+import { getWebhook, listWebhooks } from '../services/webhook-log.js';
+import { adminToken } from '../../config.js';
+
+const router = express.Router();
+
+/**
+ * Only let requests with "Authorization: Bearer <ADMIN_TOKEN>" through
+ */
+function requireAdmin(req, res, next) {
+    if (!adminToken) {
+        return res.status(403).json({ error: 'admin API is disabled' });
+    }
+
+    const token = (req.header('authorization') || '').replace(
+        /^Bearer\s+/i,
+        ''
+    );
+    if (!isAdminToken(token)) {
+        return res.status(401).json({ error: 'invalid admin token' });
+    }
+
+    next();
+}
+
+router.use(requireAdmin);
+
+/**
+ * List recent webhooks, newest first
+ */
+router.get(
+    '/webhooks',
+    query('event').optional().isString().isLength({ max: 128 }),
+    query('outcome')
+        .optional()
+        .isIn(['processing', 'processed', 'unhandled', 'failed'])
+        .withMessage(
+            'outcome must be processing, processed, unhandled or failed'
+        ),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 500 })
+        .withMessage('limit must be between 1 and 500')
+        .toInt(),
+    async (req, res, next) => {
+        try {
+            sanitize(req);
+            const { event, outcome, limit } = req.query;
+
+            res.json({ webhooks: listWebhooks({ event, outcome, limit }) });
+        } catch (e) {
+            next(handleError(e));
+        }
+    }
+);
+
+/**
+ * Inspect one webhook including its body
+ */
+router.get(
+    '/webhooks/:eventId',
+    param('eventId').isString().isLength({ min: 1, max: 256 }),
+    async (req, res, next) => {
+        try {
+            sanitize(req);
+            const webhook = getWebhook(req.params.eventId);
+
+            if (!webhook) {
+                const e = new Error(`webhook ${req.params.eventId} not found`);
+                e.code = 404;
+                throw e;
+            }
+
+            res.json(webhook);
+        } catch (e) {
+            next(handleError(e));
+        }
+    }
+);
+
+/**
+ * Connected /transcript-ws clients with their queues, and dropped message
+ * and disconnect counters
+ */
+router.get('/transcript-ws', (req, res) => {
+    res.json(getSocketMetrics());
+});
+
+export default router;
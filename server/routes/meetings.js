@@ -0,0 +1,340 @@
+import express from 'express';
+import { param, query } from 'express-validator';
+import { handleError, sanitize } from '../helpers/routing.js';
+import {
+    exportFormats,
+    formatTranscript,
+} from '../helpers/transcript-format.js';
+import {
+    authorizeRequest,
+    authorizeSubscriber,
+    canSubscribe,
+    tokenFromRequest,
+} from '../helpers/subscription-token.js';
+import { getStreams } from '../services/rtms.js';
+import { subscribe } from '../services/transcript-broker.js';
+import { getTranscriptRepository } from '../storage/index.js';
+import {
+    subscriptionTokens,
+    transcriptSocket,
+    transcriptStream,
+} from '../../config.js';
+
+const router = express.Router();
+
+const maxLimit = 500;
+const defaultLimit = 100;
+
+/**
+ * Transcript cursors are the opaque form of the last utterance ID on a page
+ */
+const encodeCursor = (id) => Buffer.from(String(id)).toString('base64url');
+const decodeCursor = (cursor) =>
+    Number(Buffer.from(cursor, 'base64url').toString());
+
+// Meeting UUIDs may contain "/" so they are not escaped
+const validateMeeting = [
+    param('meetingUuid')
+        .isString()
+        .isLength({ min: 1, max: 128 })
+        .withMessage('meetingUuid must be 1 to 128 chars'),
+];
+
+const validateMeetingsQuery = [
+    query('status')
+        .optional()
+        .isIn(['active', 'ended'])
+        .withMessage('status must be active or ended'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: maxLimit })
+        .withMessage(`limit must be between 1 and ${maxLimit}`)
+        .toInt(),
+];
+
+const validateTranscriptQuery = [
+    query('cursor')
+        .optional()
+        .isString()
+        .custom((value) => Number.isInteger(decodeCursor(value)))
+        .withMessage('invalid cursor'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: maxLimit })
+        .withMessage(`limit must be between 1 and ${maxLimit}`)
+        .toInt(),
+    query(['from', 'to'])
+        .optional()
+        .isISO8601()
+        .withMessage('from and to must be ISO 8601 dates'),
+    query(['speaker', 'userId']).optional().toArray(),
+    query(['speaker.*', 'userId.*'])
+        .isString()
+        .isLength({ min: 1, max: 256 })
+        .withMessage('speaker and userId must be 1 to 256 chars'),
+];
+
+/**
+ * Turn a repeated or comma separated query value into a list
+ */
+function listOf(values) {
+    return values
+        ?.flatMap((value) => value.split(','))
+        .map((value) => value.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Find a stored meeting or fail with a 404
+ */
+async function findMeeting(meetingUuid) {
+    const repository = await getTranscriptRepository();
+    const meeting = await repository.getMeeting(meetingUuid);
+
+    if (!meeting) {
+        const e = new Error(`meeting ${meetingUuid} not found`);
+        e.code = 404;
+        throw e;
+    }
+
+    return meeting;
+}
+
+/**
+ * List stored meetings, newest first
+ * Only ADMIN_TOKEN lists every meeting, a subscription token just its own
+ */
+router.get('/', validateMeetingsQuery, async (req, res, next) => {
+    try {
+        sanitize(req);
+        const { status, limit = defaultLimit } = req.query;
+
+        const auth = authorizeSubscriber(tokenFromRequest(req));
+        const listAll = auth?.admin || !subscriptionTokens.required;
+        if (!listAll && !auth) {
+            const e = new Error('not authorized to list meetings');
+            e.code = 401;
+            throw e;
+        }
+
+        const repository = await getTranscriptRepository();
+        const meetings = (await repository.listMeetings())
+            .filter(
+                (meeting) => listAll || canSubscribe(auth, meeting.meetingUuid)
+            )
+            .filter((meeting) => !status || meeting.status === status)
+            .sort((a, b) =>
+                String(b.startedAt).localeCompare(String(a.startedAt))
+            );
+
+        res.json({
+            meetings: meetings.slice(0, limit),
+            total: meetings.length,
+        });
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+/**
+ * Get a meeting with a summary of its transcript and any live streams
+ */
+router.get('/:meetingUuid', validateMeeting, async (req, res, next) => {
+    try {
+        sanitize(req);
+        const { meetingUuid } = req.params;
+
+        authorizeRequest(req, meetingUuid);
+        const meeting = await findMeeting(meetingUuid);
+        const repository = await getTranscriptRepository();
+        const utterances = await repository.getUtterances(meetingUuid);
+
+        res.json({
+            ...meeting,
+            transcript: {
+                utterances: utterances.length,
+                speakers: [...new Set(utterances.map((u) => u.speaker))],
+                firstAt: utterances[0]?.timestamp || null,
+                lastAt: utterances[utterances.length - 1]?.timestamp || null,
+            },
+            liveStreams: getStreams(meetingUuid),
+        });
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+/**
+ * Page through a meeting's transcript
+ * Filters: from/to (ISO time), speaker and userId (repeated or comma separated)
+ */
+router.get(
+    '/:meetingUuid/transcript',
+    validateMeeting,
+    validateTranscriptQuery,
+    async (req, res, next) => {
+        try {
+            sanitize(req);
+            const { meetingUuid } = req.params;
+            const { cursor, limit = defaultLimit, from, to } = req.query;
+
+            authorizeRequest(req, meetingUuid);
+            await findMeeting(meetingUuid);
+
+            const repository = await getTranscriptRepository();
+
+            // fetch one extra to know whether there is a next page
+            const utterances = await repository.getUtterances(meetingUuid, {
+                after: cursor ? decodeCursor(cursor) : undefined,
+                limit: limit + 1,
+                from: from && new Date(from).toISOString(),
+                to: to && new Date(to).toISOString(),
+                speakers: listOf(req.query.speaker),
+                userIds: listOf(req.query.userId),
+            });
+
+            const hasMore = utterances.length > limit;
+            const page = utterances.slice(0, limit);
+
+            res.json({
+                meetingUuid,
+                utterances: page,
+                nextCursor: hasMore
+                    ? encodeCursor(page[page.length - 1].id)
+                    : null,
+            });
+        } catch (e) {
+            next(handleError(e));
+        }
+    }
+);
+
+/**
+ * Download a meeting's transcript as WebVTT, SRT, plain text, Markdown or JSON
+ */
+router.get(
+    '/:meetingUuid/export',
+    validateMeeting,
+    query('format')
+        .optional()
+        .isIn(Object.keys(exportFormats))
+        .withMessage(
+            `format must be one of ${Object.keys(exportFormats).join(', ')}`
+        ),
+    async (req, res, next) => {
+        try {
+            sanitize(req);
+            const { meetingUuid } = req.params;
+            const { format = 'txt' } = req.query;
+
+            authorizeRequest(req, meetingUuid);
+            const meeting = await findMeeting(meetingUuid);
+            const repository = await getTranscriptRepository();
+            const utterances = await repository.getUtterances(meetingUuid);
+
+            const { contentType, extension } = exportFormats[format];
+            const name = `transcript-${meetingUuid.replace(
+                /[^a-zA-Z0-9_-]/g,
+                '_'
+            )}.${extension}`;
+
+            res.type(`${contentType}; charset=utf-8`);
+            res.attachment(name);
+            res.send(formatTranscript(format, meeting, utterances));
+        } catch (e) {
+            next(handleError(e));
+        }
+    }
+);
+
+/**
+ * Format one Server-Sent Event; transcripts carry their seq as the event ID
+ * so a reconnecting client resumes with Last-Event-ID
+ */
+function serverSentEvent(message, json) {
+    const id = message.type === 'transcript' ? message.data?.seq : undefined;
+    const lines = [`event: ${message.type}`, `data: ${json}`];
+    if (Number.isInteger(id)) lines.unshift(`id: ${id}`);
+
+    return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Follow a meeting's live transcript as Server-Sent Events, with the same
+ * messages and authorization as /transcript-ws
+ */
+router.get(
+    '/:meetingUuid/stream',
+    validateMeeting,
+    query('lastEventId')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('lastEventId must be a non-negative integer')
+        .toInt(),
+    (req, res, next) => {
+        try {
+            sanitize(req);
+            const { meetingUuid } = req.params;
+
+            authorizeRequest(req, meetingUuid);
+
+            // EventSource sends the header when it reconnects by itself
+            const header = req.header('last-event-id')?.trim();
+            const sinceSeq =
+                header && Number.isInteger(Number(header))
+                    ? Number(header)
+                    : req.query.lastEventId;
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream; charset=utf-8',
+                'Cache-Control': 'no-cache, no-transform',
+                Connection: 'keep-alive',
+                'X-Accel-Buffering': 'no',
+            });
+
+            // compression buffers writes until flushed
+            const write = (chunk) => {
+                if (res.writableEnded) return;
+                res.write(chunk);
+                res.flush?.();
+            };
+
+            write(`retry: 3000\n\n`);
+            console.log('📡 SSE CLIENT CONNECTED:', { meetingUuid, sinceSeq });
+
+            const heartbeat = setInterval(
+                () => write(`: heartbeat\n\n`),
+                transcriptStream.heartbeatMs
+            );
+
+            const unsubscribe = subscribe(
+                meetingUuid,
+                (message, json) => {
+                    // a client this far behind reconnects and resumes instead
+                    if (
+                        res.writableLength > transcriptSocket.maxBufferedBytes
+                    ) {
+                        console.log('🐢 ENDING SLOW SSE CLIENT:', {
+                            meetingUuid,
+                        });
+                        clearInterval(heartbeat);
+                        unsubscribe();
+                        return res.end();
+                    }
+                    write(serverSentEvent(message, json));
+                },
+                { sinceSeq }
+            );
+
+            res.on('close', () => {
+                console.log('🔌 SSE CLIENT DISCONNECTED:', { meetingUuid });
+                clearInterval(heartbeat);
+                unsubscribe();
+            });
+        } catch (e) {
+            next(handleError(e));
+        }
+    }
+);
+
+export default router;
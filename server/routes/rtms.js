@@ -1,47 +1,296 @@
 import express from 'express';
 import crypto from 'crypto';
 import { handleError, sanitize } from '../helpers/routing.js';
-import { startRTMS, stopRTMS } from '../services/rtms.js';
-import { zoomApp } from '../../config.js';
+import { getStreams, RtmsSession, stopRTMS } from '../services/rtms.js';
+import {
+    finalizeRecordings,
+    writeAudioChunk,
+} from '../services/audio-recorder.js';
+import {
+    recordMeetingEnded,
+    recordMeetingStart,
+    recordMeetingStarted,
+    recordMeetingStop,
+    recordParticipant,
+    recordUtterance,
+} from '../services/meetings.js';
+import {
+    clearHistory,
+    publishTranscript,
+    subscriberCount,
+} from '../services/transcript-broker.js';
+import { getTranscriptRepository } from '../storage/index.js';
+import { normalizeUtterance } from '../helpers/utterance.js';
+import { authorizeRequest } from '../helpers/subscription-token.js';
+import { verifyWebhook } from '../helpers/zoom-webhook.js';
+import { dispatchWebhook, onWebhook } from '../services/webhook-dispatcher.js';
+import { completeWebhook, recordWebhook } from '../services/webhook-log.js';
+import { rtmsAudio, zoomWebhook } from '../../config.js';
 import debug from 'debug';
 
 const router = express.Router();
 const dbg = debug('zoom-app:rtms-routes');
 
-// Store for transcript callbacks - maps meeting UUID to Socket.IO room
-const transcriptCallbacks = new Map();
+/**
+ * ISO time of a webhook event, falling back to when we received it
+ */
+function eventTimeOf(body) {
+    return new Date(body.event_ts || Date.now()).toISOString();
+}
+
+/**
+ * Connect to the RTMS stream announced by meeting.rtms_started
+ */
+function handleRtmsStarted(payload, body) {
+    const eventTime = eventTimeOf(body);
+
+    console.log('🟢 RTMS STARTED EVENT:', {
+        event: body.event,
+        meeting_uuid: payload.meeting_uuid,
+        rtms_stream_id: payload.rtms_stream_id,
+        server_urls: payload.server_urls,
+        timestamp: new Date().toISOString(),
+    });
+    dbg('RTMS Started event received');
+    const { meeting_uuid, rtms_stream_id, server_urls } = payload;
+
+    // a re-sent start for a stream we are already connected to is a no-op
+    const running = RtmsSession.get(rtms_stream_id);
+    if (running && running.serverUrls === server_urls) {
+        console.log('⏭️ RTMS STREAM ALREADY RUNNING:', {
+            meeting_uuid,
+            rtms_stream_id,
+            state: running.state,
+        });
+        return;
+    }
+
+    const session = new RtmsSession({
+        meetingUuid: meeting_uuid,
+        streamId: rtms_stream_id,
+        serverUrls: server_urls,
+    });
+
+    recordMeetingStart(meeting_uuid, rtms_stream_id, eventTime);
+
+    // Persist every utterance and forward it to whoever joined this meeting,
+    // numbered with the ID it was stored under
+    session.on('transcript', async (transcriptData) => {
+        console.log('📝 PROCESSING TRANSCRIPT:', {
+            meetingUuid: meeting_uuid,
+            transcriptData,
+        });
+
+        const stored = await recordUtterance(transcriptData);
+        publishTranscript(
+            meeting_uuid,
+            stored ? { ...stored, seq: stored.id } : transcriptData
+        );
+    });
+
+    if (rtmsAudio.enabled) {
+        session.on('audio', ({ data, userId }) =>
+            writeAudioChunk(
+                meeting_uuid,
+                data,
+                rtmsAudio.multiStream ? userId : undefined
+            )
+        );
+    }
+
+    session.on('error', (err) =>
+        dbg(`RTMS stream ${rtms_stream_id} error:`, err)
+    );
+
+    // a stream that gives up never gets a meeting.rtms_stopped, so close it
+    // out here the same way
+    session.on('closed', ({ state }) => {
+        if (state === 'failed') {
+            endStream(meeting_uuid, rtms_stream_id, new Date().toISOString());
+        }
+    });
+
+    console.log('🔄 STARTING RTMS CONNECTION...', {
+        meeting_uuid,
+        rtms_stream_id,
+    });
+    session
+        .start()
+        .catch((err) => dbg('RTMS session did not start:', err.message));
+}
 
 /**
- * Set transcript callback for a meeting
+ * Stop the RTMS stream ended by meeting.rtms_stopped
  */
-export function setTranscriptCallback(meetingUuid, callback) {
-    transcriptCallbacks.set(meetingUuid, callback);
+function handleRtmsStopped(payload, body) {
+    const eventTime = eventTimeOf(body);
+
+    console.log('🔴 RTMS STOPPED EVENT:', {
+        event: body.event,
+        meeting_uuid: payload.meeting_uuid,
+        rtms_stream_id: payload.rtms_stream_id,
+        timestamp: new Date().toISOString(),
+    });
+    dbg('RTMS Stopped event received');
+    const { meeting_uuid, rtms_stream_id } = payload;
+    stopRTMS(meeting_uuid, rtms_stream_id);
+    endStream(meeting_uuid, rtms_stream_id, eventTime);
 }
 
 /**
- * Remove transcript callback for a meeting
+ * Record that a stream stopped, releasing the meeting once it was the last
  */
-export function removeTranscriptCallback(meetingUuid) {
-    transcriptCallbacks.delete(meetingUuid);
+function endStream(meetingUuid, streamId, at) {
+    // keep meeting-wide resources while other streams are still running
+    const ended = getStreams(meetingUuid).length === 0;
+    recordMeetingStop(meetingUuid, streamId, { ended, at });
+
+    if (ended) releaseMeeting(meetingUuid);
 }
 
 /**
- * Webhook endpoint for RTMS events
+ * Finish a meeting's audio recordings and drop its live transcript buffer
  */
-router.post('/webhook', (req, res) => {
-    res.sendStatus(200);
+function releaseMeeting(meetingUuid) {
+    finalizeRecordings(meetingUuid);
+    clearHistory(meetingUuid);
+}
+
+/**
+ * Stop every RTMS stream still running for a meeting that is over, for when
+ * no meeting.rtms_stopped webhook arrives
+ * @param {string} meetingUuid - Meeting UUID
+ * @param {string} at - ISO time the meeting ended
+ * @return {number} number of streams stopped
+ */
+function cleanupMeeting(meetingUuid, at) {
+    const streams = getStreams(meetingUuid);
+
+    if (streams.length) {
+        console.log('🧹 CLEANING UP ORPHANED RTMS STREAMS:', {
+            meetingUuid,
+            streams: streams.map((stream) => stream.streamId),
+        });
+    }
+
+    for (const { streamId } of streams) {
+        recordMeetingStop(meetingUuid, streamId, { at });
+    }
+    stopRTMS(meetingUuid);
+    releaseMeeting(meetingUuid);
+
+    return streams.length;
+}
+
+/**
+ * Get payload.object of a meeting webhook, which must name the meeting
+ */
+function meetingObjectOf(payload) {
+    const object = payload?.object;
+    if (!object?.uuid) throw new Error('payload.object.uuid is missing');
+    return object;
+}
+
+/**
+ * Record meeting details from meeting.started
+ */
+function handleMeetingStarted(payload, body) {
+    const object = meetingObjectOf(payload);
+
+    console.log('🟢 MEETING STARTED EVENT:', {
+        meeting_uuid: object.uuid,
+        topic: object.topic,
+    });
+
+    return recordMeetingStarted(object.uuid, {
+        meetingId: object.id,
+        topic: object.topic,
+        hostId: object.host_id,
+        startedAt: object.start_time || eventTimeOf(body),
+    });
+}
+
+/**
+ * Close out a meeting on meeting.ended, stopping any streams left behind
+ */
+async function handleMeetingEnded(payload, body) {
+    const object = meetingObjectOf(payload);
+    const endedAt = object.end_time || eventTimeOf(body);
+
+    console.log('🔴 MEETING ENDED EVENT:', {
+        meeting_uuid: object.uuid,
+        endedAt,
+    });
+
+    cleanupMeeting(object.uuid, endedAt);
+    await recordMeetingEnded(object.uuid, endedAt);
+}
+
+/**
+ * Keep the participant roster from meeting.participant_joined / _left
+ */
+function handleParticipant(payload, body) {
+    const object = meetingObjectOf(payload);
+    const present = body.event === 'meeting.participant_joined';
+
+    console.log(`👤 PARTICIPANT ${present ? 'JOINED' : 'LEFT'}:`, {
+        meeting_uuid: object.uuid,
+        user_name: object.participant?.user_name,
+    });
+
+    if (!object.participant) return;
+    return recordParticipant(object.uuid, object.participant, present);
+}
+
+/**
+ * Stop streaming the meetings of a user who removed the app
+ */
+async function handleAppDeauthorized(payload, body) {
+    const { user_id, account_id } = payload;
+    const at = payload.deauthorization_time || eventTimeOf(body);
+
+    console.log('🚪 APP DEAUTHORIZED:', { user_id, account_id, at });
+
+    const repository = await getTranscriptRepository();
+    const meetingUuids = new Set(
+        getStreams().map((stream) => stream.meetingUuid)
+    );
+
+    for (const meetingUuid of meetingUuids) {
+        const meeting = await repository.getMeeting(meetingUuid);
+        if (meeting?.hostId && meeting.hostId === user_id) {
+            cleanupMeeting(meetingUuid, at);
+        }
+    }
+}
+
+onWebhook('meeting.rtms_started', handleRtmsStarted);
+onWebhook('meeting.rtms_stopped', handleRtmsStopped);
+onWebhook('meeting.started', handleMeetingStarted);
+onWebhook('meeting.ended', handleMeetingEnded);
+onWebhook('meeting.participant_joined', handleParticipant);
+onWebhook('meeting.participant_left', handleParticipant);
+onWebhook('app_deauthorized', handleAppDeauthorized);
+
+/**
+ * Webhook endpoint for Zoom events
+ * URL validation challenges are answered in the response; every other event
+ * is acknowledged right away and handed to its handlers afterwards
+ */
+router.post('/webhook', verifyWebhook, (req, res) => {
     console.log('🎯 RTMS WEBHOOK RECEIVED:', JSON.stringify(req.body, null, 2));
     dbg('RTMS Webhook received:', JSON.stringify(req.body, null, 2));
 
     const { event, payload } = req.body;
 
     // Handle URL validation event
-    if (event === 'endpoint.url_validation' && payload?.plainToken) {
+    if (event === 'endpoint.url_validation') {
+        if (!payload?.plainToken) {
+            return res.status(400).json({ error: 'plainToken is required' });
+        }
+
         const hash = crypto
-            .createHmac(
-                'sha256',
-                process.env.ZOOM_SECRET_TOKEN || zoomApp.clientSecret
-            )
+            .createHmac('sha256', zoomWebhook.secretToken)
             .update(payload.plainToken)
             .digest('hex');
         dbg('Responding to URL validation challenge');
@@ -51,65 +300,46 @@ router.post('/webhook', (req, res) => {
         });
     }
 
-    // Handle RTMS started event
-    if (event === 'meeting.rtms_started') {
-        console.log('🟢 RTMS STARTED EVENT:', {
-            event,
-            meeting_uuid: payload.meeting_uuid,
-            rtms_stream_id: payload.rtms_stream_id,
-            server_urls: payload.server_urls,
-            timestamp: new Date().toISOString(),
-        });
-        dbg('RTMS Started event received');
-        const { meeting_uuid, rtms_stream_id, server_urls } = payload;
-
-        // Create transcript callback for this meeting
-        const onTranscript = (meetingUuid, transcriptData) => {
-            console.log('📝 PROCESSING TRANSCRIPT CALLBACK:', {
-                meetingUuid,
-                hasCallback: transcriptCallbacks.has(meetingUuid),
-                transcriptData,
-            });
-            const callback = transcriptCallbacks.get(meetingUuid);
-            if (callback) {
-                callback(transcriptData);
-            }
-        };
+    const { entry, duplicate } = recordWebhook(req.body, {
+        trackingId: req.header('x-zm-trackingid'),
+    });
 
-        console.log('🔄 STARTING RTMS CONNECTION...', {
-            meeting_uuid,
-            rtms_stream_id,
-        });
-        startRTMS(meeting_uuid, rtms_stream_id, server_urls, onTranscript);
-    }
+    res.sendStatus(200);
 
-    // Handle RTMS stopped event
-    if (event === 'meeting.rtms_stopped') {
-        console.log('🔴 RTMS STOPPED EVENT:', {
-            event,
-            meeting_uuid: payload.meeting_uuid,
-            timestamp: new Date().toISOString(),
+    // Zoom retries deliveries - acknowledge them again but only process once
+    if (duplicate) {
+        console.log('♻️ DUPLICATE WEBHOOK SKIPPED:', {
+            eventId: entry.eventId,
+            outcome: entry.outcome,
+            duplicates: entry.duplicates,
         });
-        dbg('RTMS Stopped event received');
-        const { meeting_uuid } = payload;
-        stopRTMS(meeting_uuid);
-        removeTranscriptCallback(meeting_uuid);
+        return;
     }
+
+    // process after the acknowledgement has been sent
+    setImmediate(async () =>
+        completeWebhook(entry.eventId, await dispatchWebhook(req.body))
+    );
 });
 
 /**
- * API endpoint to get transcript status
+ * API endpoint to get transcript status, for holders of the meeting's
+ * subscription token or ADMIN_TOKEN
  */
 router.get('/status/:meetingUuid', async (req, res, next) => {
     try {
         sanitize(req);
         const { meetingUuid } = req.params;
 
-        const hasCallback = transcriptCallbacks.has(meetingUuid);
+        authorizeRequest(req, meetingUuid);
+
+        const subscribers = subscriberCount(meetingUuid);
 
         res.json({
             meetingUuid,
-            isActive: hasCallback,
+            isActive: subscribers > 0,
+            subscribers,
+            streams: getStreams(meetingUuid),
             timestamp: new Date().toISOString(),
         });
     } catch (e) {
@@ -136,28 +366,27 @@ router.post('/test-transcript/:meetingUuid', async (req, res, next) => {
         });
 
         const testTranscriptData = {
-            transcript: text,
-            speaker: speaker,
-            timestamp: new Date().toISOString(),
+            ...normalizeUtterance(
+                { data: text, user_name: speaker },
+                { meetingUuid }
+            ),
             isTest: true,
         };
 
-        const callback = transcriptCallbacks.get(meetingUuid);
-        if (callback) {
-            console.log(
-                '✅ Found callback for meeting, triggering transcript...'
-            );
-            callback(testTranscriptData);
+        const delivered = publishTranscript(meetingUuid, testTranscriptData);
+        if (delivered) {
+            console.log('✅ Test transcript sent to meeting subscribers');
             res.json({
                 success: true,
                 message: 'Test transcript sent',
+                delivered,
                 testTranscriptData,
             });
         } else {
-            console.log('❌ No callback found for meeting:', meetingUuid);
+            console.log('❌ No subscribers for meeting:', meetingUuid);
             res.json({
                 success: false,
-                message: 'No active transcript callback for this meeting',
+                message: 'No active transcript subscribers for this meeting',
             });
         }
     } catch (e) {
@@ -1,11 +1,19 @@
 import http from 'http';
 import debug from 'debug';
 import { WebSocketServer } from 'ws';
-import { appName } from '../config.js';
+import { appName, subscriptionTokens, transcriptSocket } from '../config.js';
+import { createOutboundQueue } from './helpers/outbound-queue.js';
 import {
-    setTranscriptCallback,
-    removeTranscriptCallback,
-} from './routes/rtms.js';
+    authorizeSubscriber,
+    canSubscribe,
+    refreshSubscriptionToken,
+    tokenFromRequest,
+} from './helpers/subscription-token.js';
+import {
+    countSocketMetric,
+    trackSocketClient,
+} from './services/socket-metrics.js';
+import { subscribe, subscriberCount } from './services/transcript-broker.js';
 
 const dbg = debug(`${appName}:http`);
 
@@ -19,76 +27,172 @@ export async function start(app, port) {
     const server = http.createServer(app);
 
     // Initialize WebSocket Server
-    const wss = new WebSocketServer({ server, path: '/transcript-ws' });
+    // Clients need a subscription token (or the admin token) to connect
+    const wss = new WebSocketServer({
+        server,
+        path: '/transcript-ws',
+        verifyClient: ({ req }, done) => {
+            req.subscriber = authorizeSubscriber(tokenFromRequest(req));
+            if (req.subscriber || !subscriptionTokens.required) {
+                return done(true);
+            }
+
+            console.log(
+                '🚫 REJECTED WEBSOCKET CLIENT: invalid or missing token'
+            );
+            done(false, 401, 'Unauthorized');
+        },
+    });
+
+    // Ping every client, terminating those that didn't answer the last ping
+    const alive = new WeakMap();
+    const heartbeat = setInterval(() => {
+        for (const ws of wss.clients) {
+            if (!alive.get(ws)) {
+                console.log('💀 TERMINATING UNRESPONSIVE WEBSOCKET CLIENT');
+                countSocketMetric('unresponsiveClientsTerminated');
+                ws.terminate();
+                continue;
+            }
 
-    // Store connected clients by meeting UUID
-    const meetingClients = new Map();
+            alive.set(ws, false);
+            ws.ping();
+        }
+    }, transcriptSocket.pingIntervalMs);
+    wss.on('close', () => clearInterval(heartbeat));
 
     // Handle WebSocket connections
     wss.on('connection', (ws, req) => {
-        console.log('🔗 WEBSOCKET CLIENT CONNECTED:', req.url);
-        dbg(`WebSocket client connected from: ${req.url}`);
+        // the query string may hold a token, keep it out of logs
+        const url = req.url.split('?')[0];
+        console.log('🔗 WEBSOCKET CLIENT CONNECTED:', url);
+        dbg(`WebSocket client connected from: ${url}`);
+
+        // what the token sent when connecting allows this client to read
+        let subscriber = req.subscriber;
+
+        alive.set(ws, true);
+        ws.on('pong', () => alive.set(ws, true));
+
+        // Map of meeting UUID -> unsubscribe function for this client
+        const subscriptions = new Map();
+
+        // Everything sent to this client goes through its bounded queue
+        const outbound = createOutboundQueue(ws, {
+            maxQueuedMessages: transcriptSocket.maxQueuedMessages,
+            maxBufferedBytes: transcriptSocket.maxBufferedBytes,
+            policy: transcriptSocket.slowClientPolicy,
+            onDrop: () => countSocketMetric('messagesDropped'),
+            onDisconnect: () => {
+                console.log('🐢 DISCONNECTING SLOW WEBSOCKET CLIENT:', {
+                    meetings: Array.from(subscriptions.keys()),
+                    bufferedAmount: ws.bufferedAmount,
+                });
+                countSocketMetric('slowClientsDisconnected');
+            },
+        });
+
+        const untrack = trackSocketClient(() => ({
+            url,
+            meetings: Array.from(subscriptions.keys()),
+            queued: outbound.size,
+            dropped: outbound.dropped,
+            bufferedAmount: ws.bufferedAmount,
+        }));
+
+        const send = (message) => outbound.send(JSON.stringify(message));
+
+        // Forward transcripts and RTMS events of joined meetings
+        const onMessage = (message, json) => outbound.send(json);
+
+        const join = (meetingUuid, sinceSeq, token) => {
+            // a token sent with the join covers just that meeting
+            const auth = token ? authorizeSubscriber(token) : subscriber;
+            if (!canSubscribe(auth, meetingUuid)) {
+                console.log('🚫 REJECTED MEETING SUBSCRIPTION:', {
+                    meetingUuid,
+                });
+                return send({
+                    type: 'error',
+                    meetingUuid,
+                    error: 'not authorized to subscribe to this meeting',
+                });
+            }
 
-        let currentMeetingUuid = null;
+            // rejoining to resume replaces the earlier subscription
+            if (sinceSeq !== undefined) {
+                subscriptions.get(meetingUuid)?.();
+                subscriptions.delete(meetingUuid);
+            }
+
+            if (!subscriptions.has(meetingUuid)) {
+                subscriptions.set(
+                    meetingUuid,
+                    subscribe(meetingUuid, onMessage, { sinceSeq })
+                );
+            }
+
+            console.log('🏠 CLIENT JOINING MEETING ROOM:', {
+                meetingUuid,
+                clientsInRoom: subscriberCount(meetingUuid),
+                meetingsJoined: subscriptions.size,
+            });
+
+            send({ type: 'joined', meetingUuid, sinceSeq });
+        };
+
+        const leave = (meetingUuid) => {
+            subscriptions.get(meetingUuid)?.();
+            subscriptions.delete(meetingUuid);
+
+            console.log('🚪 CLIENT LEAVING MEETING ROOM:', {
+                meetingUuid,
+                clientsInRoom: subscriberCount(meetingUuid),
+            });
+
+            send({ type: 'left', meetingUuid });
+        };
+
+        // Renew a subscription token before it expires, so the client can
+        // still reconnect and join with it
+        const refreshToken = () => {
+            if (
+                !subscriber?.meetingUuid ||
+                !canSubscribe(subscriber, subscriber.meetingUuid)
+            ) {
+                return send({
+                    type: 'error',
+                    error: 'no valid subscription token to refresh',
+                });
+            }
+
+            const renewed = refreshSubscriptionToken(subscriber);
+            if (!renewed) {
+                return send({
+                    type: 'error',
+                    error: 'subscription token reached its maximum lifetime',
+                });
+            }
+
+            const { token, expiresAt } = renewed;
+            subscriber = { ...subscriber, expiresAt };
+            send({ type: 'token', token, expiresAt });
+        };
 
         ws.on('message', (message) => {
             try {
                 const data = JSON.parse(message.toString());
-                console.log('📨 WEBSOCKET MESSAGE RECEIVED:', data);
+                console.log('📨 WEBSOCKET MESSAGE RECEIVED:', {
+                    ...data,
+                    ...(data.token && { token: '[redacted]' }),
+                });
 
                 if (data.type === 'join-meeting' && data.meetingUuid) {
-                    currentMeetingUuid = data.meetingUuid;
-
-                    // Add client to meeting room
-                    if (!meetingClients.has(currentMeetingUuid)) {
-                        meetingClients.set(currentMeetingUuid, new Set());
-                    }
-                    meetingClients.get(currentMeetingUuid).add(ws);
-
-                    console.log('🏠 CLIENT JOINING MEETING ROOM:', {
-                        meetingUuid: currentMeetingUuid,
-                        clientsInRoom:
-                            meetingClients.get(currentMeetingUuid).size,
-                    });
-
-                    // Set up transcript callback for this meeting
-                    setTranscriptCallback(
-                        currentMeetingUuid,
-                        (transcriptData) => {
-                            const clients =
-                                meetingClients.get(currentMeetingUuid);
-                            if (clients) {
-                                console.log(
-                                    '🚀 EMITTING TRANSCRIPT TO CLIENTS:',
-                                    {
-                                        meetingUuid: currentMeetingUuid,
-                                        clientsInRoom: clients.size,
-                                        transcriptData,
-                                    }
-                                );
-
-                                // Send to all clients in this meeting
-                                clients.forEach((client) => {
-                                    if (client.readyState === client.OPEN) {
-                                        client.send(
-                                            JSON.stringify({
-                                                type: 'transcript',
-                                                data: transcriptData,
-                                            })
-                                        );
-                                    }
-                                });
-                            }
-                        }
-                    );
-
-                    // Send confirmation
-                    ws.send(
-                        JSON.stringify({
-                            type: 'joined',
-                            meetingUuid: currentMeetingUuid,
-                        })
-                    );
+                    join(data.meetingUuid, data.sinceSeq, data.token);
+                } else if (data.type === 'leave-meeting' && data.meetingUuid) {
+                    leave(data.meetingUuid);
+                } else if (data.type === 'refresh-token') {
+                    refreshToken();
                 }
             } catch (error) {
                 console.error('❌ Error processing WebSocket message:', error);
@@ -97,15 +201,11 @@ export async function start(app, port) {
 
         ws.on('close', () => {
             console.log('🔌 WEBSOCKET CLIENT DISCONNECTED');
+            untrack();
 
-            // Remove client from meeting room
-            if (currentMeetingUuid && meetingClients.has(currentMeetingUuid)) {
-                meetingClients.get(currentMeetingUuid).delete(ws);
-                if (meetingClients.get(currentMeetingUuid).size === 0) {
-                    meetingClients.delete(currentMeetingUuid);
-                    removeTranscriptCallback(currentMeetingUuid);
-                }
-            }
+            // Leave every meeting room this client joined
+            for (const unsubscribe of subscriptions.values()) unsubscribe();
+            subscriptions.clear();
         });
 
         ws.on('error', (error) => {
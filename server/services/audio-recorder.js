@@ -0,0 +1,147 @@
+import fs from 'fs/promises';
+import path from 'path';
+import debug from 'debug';
+import { wavHeader, wavHeaderLength } from '../helpers/wav.js';
+import { rtmsAudio } from '../../config.js';
+
+const dbg = debug('zoom-app:audio-recorder');
+
+// PCM format requested from RTMS (L16, 16kHz, mono)
+export const audioFormat = {
+    sampleRate: 16000,
+    channels: 1,
+    bitDepth: 16,
+};
+
+// Map of meeting UUID -> Map of track name -> open WAV recording
+const recordings = new Map();
+
+/**
+ * Make a meeting UUID or user ID safe to use as a file name
+ */
+function safeName(value) {
+    return String(value).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Create the next free <track>.wav, <track>-2.wav, ... file of a meeting so
+ * a restarted stream or a late chunk never truncates an earlier recording
+ */
+async function createTrackFile(dir, track) {
+    for (let n = 1; ; n++) {
+        const file = path.join(
+            dir,
+            n > 1 ? `${track}-${n}.wav` : `${track}.wav`
+        );
+        try {
+            return { file, handle: await fs.open(file, 'wx') };
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+        }
+    }
+}
+
+/**
+ * Open a new WAV file with a placeholder header
+ */
+async function openRecording(meetingUuid, track) {
+    const dir = path.resolve(rtmsAudio.dir, safeName(meetingUuid));
+    await fs.mkdir(dir, { recursive: true });
+
+    const { file, handle } = await createTrackFile(dir, track);
+    await handle.write(wavHeader(0, audioFormat), 0, wavHeaderLength, 0);
+
+    dbg(`Opened audio recording ${file}`);
+
+    return { file, handle, bytes: 0 };
+}
+
+/**
+ * Get the recording for a track, opening it on first use
+ */
+function getRecording(meetingUuid, track) {
+    if (!recordings.has(meetingUuid)) {
+        recordings.set(meetingUuid, new Map());
+    }
+
+    const tracks = recordings.get(meetingUuid);
+
+    if (!tracks.has(track)) {
+        // chain every write on this promise so chunks land in order
+        tracks.set(track, { pending: openRecording(meetingUuid, track) });
+    }
+
+    return tracks.get(track);
+}
+
+/**
+ * Append a chunk of raw PCM audio to a meeting recording
+ * @param {string} meetingUuid - Meeting the audio belongs to
+ * @param {Buffer} data - Raw L16 PCM samples
+ * @param {string} [userId] - Participant the audio belongs to, if known
+ */
+export function writeAudioChunk(meetingUuid, data, userId) {
+    if (!data?.length) return;
+
+    const track = userId ? `participant-${safeName(userId)}` : 'meeting';
+    const recording = getRecording(meetingUuid, track);
+
+    recording.pending = recording.pending.then(async (rec) => {
+        await rec.handle.write(
+            data,
+            0,
+            data.length,
+            wavHeaderLength + rec.bytes
+        );
+        rec.bytes += data.length;
+        return rec;
+    });
+
+    recording.pending.catch((err) => {
+        console.log('❌ ERROR WRITING AUDIO CHUNK:', {
+            meetingUuid,
+            track,
+            error: err.message,
+        });
+        dbg('Error writing audio chunk:', err);
+    });
+}
+
+/**
+ * Write the final WAV headers and close every recording for a meeting
+ * @param {string} meetingUuid - Meeting to finalize
+ * @return {Promise<string[]>} Paths of the finalized WAV files
+ */
+export async function finalizeRecordings(meetingUuid) {
+    const tracks = recordings.get(meetingUuid);
+    if (!tracks) return [];
+
+    recordings.delete(meetingUuid);
+
+    const files = [];
+
+    for (const [track, recording] of tracks) {
+        try {
+            const rec = await recording.pending;
+            await rec.handle.write(
+                wavHeader(rec.bytes, audioFormat),
+                0,
+                wavHeaderLength,
+                0
+            );
+            await rec.handle.close();
+            files.push(rec.file);
+        } catch (err) {
+            console.log('❌ ERROR FINALIZING AUDIO RECORDING:', {
+                meetingUuid,
+                track,
+                error: err.message,
+            });
+            dbg('Error finalizing audio recording:', err);
+        }
+    }
+
+    console.log('💾 AUDIO RECORDINGS FINALIZED:', { meetingUuid, files });
+
+    return files;
+}
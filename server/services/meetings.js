@@ -0,0 +1,200 @@
+import debug from 'debug';
+import { getTranscriptRepository } from '../storage/index.js';
+
+const dbg = debug('zoom-app:meetings');
+
+// Map of meeting UUID -> promise chain of meeting record updates
+const updates = new Map();
+
+/**
+ * Apply a change to a stored meeting record after any earlier change to it
+ * @param {string} meetingUuid - Meeting UUID
+ * @param {Function} change - gets the current record (or null), returns the fields to save
+ * @return {Promise<Object>} the saved meeting
+ */
+function updateMeeting(meetingUuid, change) {
+    const previous = updates.get(meetingUuid) || Promise.resolve();
+
+    const next = previous
+        .catch(() => {})
+        .then(async () => {
+            const repository = await getTranscriptRepository();
+            const meeting = await repository.getMeeting(meetingUuid);
+            return repository.saveMeeting({
+                meetingUuid,
+                ...change(meeting),
+                updatedAt: new Date().toISOString(),
+            });
+        });
+
+    updates.set(meetingUuid, next);
+    next.finally(() => {
+        if (updates.get(meetingUuid) === next) updates.delete(meetingUuid);
+    }).catch(() => {});
+
+    return next;
+}
+
+/**
+ * Record that an RTMS stream started for a meeting
+ * @param {string} meetingUuid - Meeting UUID
+ * @param {string} streamId - RTMS stream ID
+ * @param {string} [at] - ISO time the stream started
+ * @return {Promise<Object|undefined>} the saved meeting
+ */
+export function recordMeetingStart(
+    meetingUuid,
+    streamId,
+    at = new Date().toISOString()
+) {
+    return updateMeeting(meetingUuid, (meeting) => ({
+        status: 'active',
+        startedAt: meeting?.startedAt || at,
+        endedAt: null,
+        streams: {
+            ...meeting?.streams,
+            [streamId]: { startedAt: at, stoppedAt: null },
+        },
+    })).catch((err) => dbg(`Error saving start of ${meetingUuid}:`, err));
+}
+
+/**
+ * Record that an RTMS stream stopped, ending the meeting when it was the last
+ * @param {string} meetingUuid - Meeting UUID
+ * @param {string} streamId - RTMS stream ID
+ * @param {Object} [options]
+ * @param {boolean} [options.ended=true] - no other stream of the meeting is running
+ * @param {string} [options.at] - ISO time the stream stopped
+ * @return {Promise<Object|undefined>} the saved meeting
+ */
+export function recordMeetingStop(
+    meetingUuid,
+    streamId,
+    { ended = true, at = new Date().toISOString() } = {}
+) {
+    return updateMeeting(meetingUuid, (meeting) => ({
+        // a meeting.ended webhook may already have recorded the end
+        ...(ended && { status: 'ended', endedAt: meeting?.endedAt || at }),
+        streams: {
+            ...meeting?.streams,
+            [streamId]: {
+                ...meeting?.streams?.[streamId],
+                stoppedAt: at,
+            },
+        },
+    })).catch((err) => dbg(`Error saving stop of ${meetingUuid}:`, err));
+}
+
+/**
+ * Record meeting details from a meeting.started webhook
+ * @param {string} meetingUuid - Meeting UUID
+ * @param {Object} details
+ * @param {string|number} [details.meetingId] - Meeting number
+ * @param {string} [details.topic] - Meeting topic
+ * @param {string} [details.hostId] - Zoom user ID of the host
+ * @param {string} [details.startedAt] - ISO time the meeting started
+ * @return {Promise<Object>} the saved meeting, rejects if it can't be stored
+ */
+export function recordMeetingStarted(
+    meetingUuid,
+    { meetingId, topic, hostId, startedAt = new Date().toISOString() }
+) {
+    return updateMeeting(meetingUuid, (meeting) => ({
+        status: 'active',
+        meetingId: meetingId ?? meeting?.meetingId ?? null,
+        topic: topic ?? meeting?.topic ?? null,
+        hostId: hostId ?? meeting?.hostId ?? null,
+        startedAt,
+        endedAt: null,
+    }));
+}
+
+/**
+ * Record that a meeting ended, closing out participants still present
+ * @param {string} meetingUuid - Meeting UUID
+ * @param {string} [endedAt] - ISO time the meeting ended
+ * @return {Promise<Object>} the saved meeting, rejects if it can't be stored
+ */
+export function recordMeetingEnded(
+    meetingUuid,
+    endedAt = new Date().toISOString()
+) {
+    return updateMeeting(meetingUuid, (meeting) => {
+        const participants = { ...meeting?.participants };
+        for (const [key, participant] of Object.entries(participants)) {
+            if (participant.present) {
+                participants[key] = {
+                    ...participant,
+                    present: false,
+                    leftAt: endedAt,
+                };
+            }
+        }
+
+        return { status: 'ended', endedAt, participants };
+    });
+}
+
+/**
+ * Key a webhook participant by the most stable ID Zoom gave us
+ */
+function participantKey(p) {
+    return String(p.participant_uuid || p.user_id || p.id || p.user_name);
+}
+
+/**
+ * Add or update a participant on a meeting's roster, keeping the time of
+ * their latest join and how often they joined
+ * @param {string} meetingUuid - Meeting UUID
+ * @param {Object} participant - payload.object.participant of the webhook
+ * @param {boolean} present - true when joined, false when left
+ * @return {Promise<Object>} the saved meeting, rejects if it can't be stored
+ */
+export function recordParticipant(meetingUuid, participant, present) {
+    const key = participantKey(participant);
+    const now = new Date().toISOString();
+
+    return updateMeeting(meetingUuid, (meeting) => {
+        const existing = meeting?.participants?.[key];
+
+        return {
+            participants: {
+                ...meeting?.participants,
+                [key]: {
+                    userId: participant.user_id ?? existing?.userId ?? null,
+                    userName:
+                        participant.user_name ?? existing?.userName ?? null,
+                    email: participant.email ?? existing?.email ?? null,
+                    // a rejoin replaces the previous join time
+                    joinedAt: present
+                        ? participant.join_time || now
+                        : existing?.joinedAt || participant.join_time || now,
+                    joins: (existing?.joins || 0) + (present ? 1 : 0),
+                    leftAt: present ? null : participant.leave_time || now,
+                    leaveReason: present
+                        ? null
+                        : participant.leave_reason ?? null,
+                    present,
+                },
+            },
+        };
+    });
+}
+
+/**
+ * Persist an utterance from an RTMS transcript
+ * @param {Object} utterance - record built by normalizeUtterance
+ * @return {Promise<Object|undefined>} the stored utterance with its ID
+ */
+export async function recordUtterance(utterance) {
+    try {
+        const repository = await getTranscriptRepository();
+        return await repository.appendUtterance(utterance);
+    } catch (err) {
+        console.log('❌ ERROR SAVING TRANSCRIPT:', {
+            meetingUuid: utterance.meetingUuid,
+            error: err.message,
+        });
+        dbg('Error saving utterance:', err);
+    }
+}
@@ -0,0 +1,132 @@
+import { EventEmitter } from 'events';
+import debug from 'debug';
+
+const dbg = debug('zoom-app:rtms-events');
+
+// STREAM_STATE_UPDATE (msg_type 8) states
+export const streamStates = {
+    0: 'inactive',
+    1: 'active',
+    2: 'interrupted',
+    3: 'terminating',
+    4: 'terminated',
+};
+
+// SESSION_STATE_UPDATE (msg_type 9) states
+export const sessionStates = {
+    0: 'inactive',
+    1: 'initialize',
+    2: 'started',
+    3: 'paused',
+    4: 'resumed',
+    5: 'stopped',
+};
+
+// EVENT_UPDATE (msg_type 6) event types
+const eventTypes = {
+    2: 'active-speaker',
+    3: 'participant-join',
+    4: 'participant-leave',
+};
+
+// Event types requested with EVENT_SUBSCRIPTION (msg_type 5)
+export const subscribedEventTypes = [2, 3, 4];
+
+// Map of meeting UUID -> EventEmitter for that meeting's RTMS events
+const emitters = new Map();
+
+function participantOf(p = {}) {
+    return {
+        userId: p.user_id,
+        userName: p.user_name || 'Unknown',
+    };
+}
+
+/**
+ * Turn a signaling message into a typed RTMS event
+ * @param {Object} msg - parsed signaling message
+ * @return {Object|null} event with a type field, or null if not an event
+ */
+export function parseSignalingEvent(msg) {
+    switch (msg.msg_type) {
+        case 6: {
+            // EVENT_UPDATE
+            const event = msg.event || {};
+            const type = eventTypes[event.event_type];
+            if (!type) return null;
+
+            if (type === 'active-speaker') {
+                return {
+                    type,
+                    ...participantOf(event),
+                    timestamp: event.timestamp,
+                };
+            }
+
+            return {
+                type,
+                participants: (event.participants || []).map(participantOf),
+                timestamp: event.timestamp,
+            };
+        }
+        case 8: // STREAM_STATE_UPDATE
+            return {
+                type: 'stream-state',
+                state: streamStates[msg.state] || 'unknown',
+                code: msg.state,
+                reason: msg.reason,
+                timestamp: msg.timestamp,
+            };
+        case 9: // SESSION_STATE_UPDATE
+            return {
+                type: 'session-state',
+                state: sessionStates[msg.state] || 'unknown',
+                code: msg.state,
+                reason: msg.stop_reason ?? msg.reason,
+                timestamp: msg.timestamp,
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get the event emitter for a meeting's RTMS events
+ *
+ * Emits 'stream-state', 'session-state', 'participant-join',
+ * 'participant-leave' and 'active-speaker', plus 'event' for every event.
+ * @param {string} meetingUuid - Meeting UUID
+ * @return {EventEmitter}
+ */
+export function meetingEvents(meetingUuid) {
+    if (!emitters.has(meetingUuid)) {
+        emitters.set(meetingUuid, new EventEmitter());
+    }
+    return emitters.get(meetingUuid);
+}
+
+/**
+ * Emit a typed RTMS event to a meeting's subscribers
+ * @param {string} meetingUuid - Meeting UUID
+ * @param {Object} event - event from parseSignalingEvent
+ */
+export function emitMeetingEvent(meetingUuid, event) {
+    const emitter = emitters.get(meetingUuid);
+    dbg(`RTMS event ${event.type} for ${meetingUuid}`);
+    if (!emitter) return;
+
+    const data = { meetingUuid, ...event };
+    emitter.emit(event.type, data);
+    emitter.emit('event', data);
+}
+
+/**
+ * Drop a meeting's emitter once nobody is listening to it any more
+ * @param {string} meetingUuid - Meeting UUID
+ */
+export function releaseMeetingEvents(meetingUuid) {
+    const emitter = emitters.get(meetingUuid);
+    if (emitter && emitter.eventNames().length === 0) {
+        emitters.delete(meetingUuid);
+    }
+}
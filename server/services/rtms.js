@@ -1,12 +1,64 @@
 import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import WebSocket from 'ws';
 import debug from 'debug';
-import { zoomApp } from '../../config.js';
+import {
+    rtmsAudio,
+    rtmsEncryption,
+    rtmsReconnect,
+    zoomApp,
+} from '../../config.js';
+import { decryptPayload } from '../helpers/cipher.js';
+import { normalizeUtterance } from '../helpers/utterance.js';
+import {
+    emitMeetingEvent,
+    parseSignalingEvent,
+    subscribedEventTypes,
+} from './rtms-events.js';
+import {
+    describeStream,
+    getStream,
+    listStreams,
+    registerStream,
+    streamCount,
+    unregisterStream,
+} from './stream-registry.js';
 
 const dbg = debug('zoom-app:rtms');
 
-// Map to keep track of active WebSocket connections
-const activeConnections = new Map();
+// RTMS media type flags used in the data handshake
+const mediaTypeFlags = {
+    audio: 1, // MEDIA_DATA_AUDIO
+    video: 2, // MEDIA_DATA_VIDEO
+    deskshare: 4, // MEDIA_DATA_DESKSHARE
+    transcript: 8, // MEDIA_DATA_TRANSCRIPT
+    chat: 16, // MEDIA_DATA_CHAT
+};
+
+// Subscribers notified on every connection state transition
+const stateListeners = new Set();
+
+/**
+ * Subscribe to RTMS connection state transitions of every session
+ * (connecting, connected, streaming, reconnecting, stopped, failed)
+ * @param {Function} listener - called with a state change event
+ * @return {Function} unsubscribe function
+ */
+export function onStateChange(listener) {
+    stateListeners.add(listener);
+    return () => stateListeners.delete(listener);
+}
+
+/**
+ * Exponential backoff with jitter for the given (zero based) attempt
+ */
+function backoffDelay(attempt) {
+    const { baseDelay, maxDelay } = rtmsReconnect;
+    const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+
+    // randomize within the upper half so reconnects don't stampede
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
 
 /**
  * Generate signature for RTMS authentication
@@ -21,288 +73,722 @@ function generateSignature(clientId, meetingUuid, streamId, clientSecret) {
 }
 
 /**
- * Connect to signaling WebSocket server
+ * A single RTMS stream: its signaling and media sockets, reconnects and the
+ * events it produces
+ *
+ * Events:
+ * - transcript: normalized utterance record
+ * - audio: { meetingUuid, streamId, userId, data, timestamp }
+ * - participant: participant-join / participant-leave event
+ * - event: every stream state, session state and participant event
+ * - state: connection state transition
+ * - error: socket, handshake and payload errors
+ * - closed: the session stopped or gave up reconnecting
  */
-function connectToSignalingWebSocket(
-    meetingUuid,
-    streamId,
-    serverUrl,
-    onTranscript
-) {
-    dbg(`Connecting to signaling WebSocket for meeting ${meetingUuid}`);
-
-    const ws = new WebSocket(serverUrl);
-
-    // Store connection for cleanup later
-    if (!activeConnections.has(meetingUuid)) {
-        activeConnections.set(meetingUuid, {});
+export class RtmsSession extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.meetingUuid - Meeting UUID
+     * @param {string} options.streamId - RTMS stream ID
+     * @param {string} options.serverUrls - Signaling server URL
+     * @param {string[]} [options.mediaTypes] - media to request
+     */
+    constructor({
+        meetingUuid,
+        streamId,
+        serverUrls,
+        mediaTypes = rtmsAudio.enabled
+            ? ['transcript', 'audio']
+            : ['transcript'],
+    }) {
+        super();
+
+        this.meetingUuid = meetingUuid;
+        this.streamId = streamId;
+        this.serverUrls = serverUrls;
+        this.mediaTypes = mediaTypes;
+
+        this.state = 'idle';
+        this.startedAt = null;
+        this.stats = { messages: 0, bytes: 0, lastMessageAt: null };
+        this.attempts = { signaling: 0, media: 0 };
+        this.timers = {};
+        this.stopped = false;
+    }
+
+    /**
+     * Get the active session for an RTMS stream ID
+     * @param {string} streamId - RTMS stream ID
+     * @return {RtmsSession|undefined}
+     */
+    static get(streamId) {
+        return getStream(streamId);
+    }
+
+    /**
+     * Get the active sessions of a meeting
+     * @param {string} meetingUuid - Meeting UUID
+     * @return {RtmsSession[]}
+     */
+    static forMeeting(meetingUuid) {
+        return listStreams(meetingUuid);
     }
-    activeConnections.get(meetingUuid).signaling = ws;
 
-    ws.on('open', () => {
-        console.log('🔌 SIGNALING WEBSOCKET OPENED:', {
-            meetingUuid,
-            streamId,
+    /**
+     * Get every active session
+     * @return {RtmsSession[]}
+     */
+    static all() {
+        return listStreams();
+    }
+
+    /**
+     * Serializable metadata for this session
+     */
+    toJSON() {
+        return describeStream(this);
+    }
+
+    /**
+     * Connect to RTMS and wait until media is streaming
+     * @return {Promise<RtmsSession>} resolves once streaming, rejects if the
+     * session stops or fails first
+     */
+    async start() {
+        console.log('🔗 STARTING RTMS CONNECTION:', {
+            meetingUuid: this.meetingUuid,
+            streamId: this.streamId,
+            serverUrls: this.serverUrls,
+            timestamp: new Date().toISOString(),
         });
-        dbg(`Signaling WebSocket connection opened for meeting ${meetingUuid}`);
-        const signature = generateSignature(
-            zoomApp.clientId,
-            meetingUuid,
-            streamId,
-            zoomApp.clientSecret
-        );
+        dbg(`Starting RTMS stream ${this.streamId} for ${this.meetingUuid}`);
+
+        // a re-started stream replaces its previous session
+        const existing = getStream(this.streamId);
+        if (existing && existing !== this) await existing.stop('replaced');
 
-        const handshake = {
-            msg_type: 1, // SIGNALING_HAND_SHAKE_REQ
-            protocol_version: 1,
-            meeting_uuid: meetingUuid,
-            rtms_stream_id: streamId,
-            sequence: Math.floor(Math.random() * 1e9),
-            signature,
+        this.startedAt = new Date().toISOString();
+        registerStream(this);
+
+        const streaming = new Promise((resolve, reject) => {
+            const onState = ({ state }) => {
+                if (state === 'streaming') {
+                    this.off('state', onState);
+                    resolve(this);
+                } else if (state === 'stopped' || state === 'failed') {
+                    this.off('state', onState);
+                    reject(new Error(`RTMS stream ${state} before streaming`));
+                }
+            };
+            this.on('state', onState);
+        });
+
+        this.connectSignaling();
+
+        return streaming;
+    }
+
+    /**
+     * Close both sockets and stop reconnecting
+     * @param {string} [reason] - why the session was stopped
+     * @return {Promise} resolves once both sockets are closed
+     */
+    async stop(reason) {
+        if (this.stopped) return;
+
+        const closed = [this.media, this.signaling]
+            .filter((ws) => ws && ws.readyState !== WebSocket.CLOSED)
+            .map((ws) => new Promise((resolve) => ws.once('close', resolve)));
+
+        this.finish('stopped', reason ? { reason } : {});
+
+        await Promise.all(closed);
+    }
+
+    /**
+     * Move to a new state and notify subscribers
+     */
+    setState(state, details = {}) {
+        const event = {
+            meetingUuid: this.meetingUuid,
+            streamId: this.streamId,
+            state,
+            previous: this.state,
+            ...details,
+            timestamp: new Date().toISOString(),
         };
-        ws.send(JSON.stringify(handshake));
-        dbg('Sent handshake to signaling server');
-    });
-
-    ws.on('message', (data) => {
-        const msg = JSON.parse(data);
-        dbg('Signaling Message:', JSON.stringify(msg, null, 2));
-
-        // Handle successful handshake response
-        if (msg.msg_type === 2 && msg.status_code === 0) {
-            const mediaUrl = msg.media_server?.server_urls?.all;
-            if (mediaUrl) {
-                connectToMediaWebSocket(
-                    mediaUrl,
-                    meetingUuid,
-                    streamId,
-                    ws,
-                    onTranscript
-                );
+        this.state = state;
+
+        console.log('🔁 RTMS STATE CHANGE:', event);
+        dbg(`RTMS state ${event.previous} -> ${state} for ${this.meetingUuid}`);
+
+        this.emit('state', event);
+
+        for (const listener of stateListeners) {
+            try {
+                listener(event);
+            } catch (err) {
+                dbg('State listener error:', err);
             }
         }
+    }
 
-        // Respond to keep-alive requests
-        if (msg.msg_type === 12) {
-            const keepAliveResponse = {
-                msg_type: 13,
-                timestamp: msg.timestamp,
-            };
-            dbg('Responding to Signaling KEEP_ALIVE_REQ');
-            ws.send(JSON.stringify(keepAliveResponse));
+    /**
+     * Emit an error only when someone is listening, so a stray socket error
+     * never crashes the process
+     */
+    emitError(err) {
+        if (this.listenerCount('error') > 0) this.emit('error', err);
+    }
+
+    /**
+     * Tear the session down for good and report its final state
+     * @param {'stopped'|'failed'} state - final state
+     * @param {Object} [details] - extra state change details
+     */
+    finish(state, details = {}) {
+        this.stopped = true;
+
+        for (const timer of Object.values(this.timers)) {
+            clearTimeout(timer);
         }
-    });
+        this.timers = {};
 
-    ws.on('error', (err) => {
-        console.log('⚠️ SIGNALING WEBSOCKET ERROR:', {
-            meetingUuid,
-            error: err.message,
-        });
-        dbg('Signaling socket error:', err);
-    });
-
-    ws.on('close', () => {
-        console.log('🔴 SIGNALING WEBSOCKET CLOSED:', { meetingUuid });
-        dbg('Signaling socket closed');
-        if (activeConnections.has(meetingUuid)) {
-            delete activeConnections.get(meetingUuid).signaling;
+        for (const socket of ['media', 'signaling']) {
+            const ws = this[socket];
+            delete this[socket];
+            if (ws && typeof ws.close === 'function') {
+                ws.close();
+            }
         }
-    });
-}
 
-/**
- * Connect to media WebSocket server for transcript data
- */
-function connectToMediaWebSocket(
-    mediaUrl,
-    meetingUuid,
-    streamId,
-    signalingSocket,
-    onTranscript
-) {
-    dbg(`Connecting to media WebSocket at ${mediaUrl}`);
-
-    const mediaWs = new WebSocket(mediaUrl, { rejectUnauthorized: false });
-
-    if (activeConnections.has(meetingUuid)) {
-        activeConnections.get(meetingUuid).media = mediaWs;
+        unregisterStream(this);
+
+        this.setState(state, details);
+        this.emit('closed', { state, ...details });
     }
 
-    mediaWs.on('open', () => {
-        console.log('🎬 MEDIA WEBSOCKET OPENED:', {
-            meetingUuid,
-            streamId,
-            mediaUrl,
-        });
-        const signature = generateSignature(
-            zoomApp.clientId,
-            meetingUuid,
-            streamId,
-            zoomApp.clientSecret
-        );
-        const handshake = {
-            msg_type: 3, // DATA_HAND_SHAKE_REQ
-            protocol_version: 1,
-            meeting_uuid: meetingUuid,
-            rtms_stream_id: streamId,
-            signature,
-            media_type: 8, // MEDIA_DATA_TRANSCRIPT
-            payload_encryption: false,
-        };
-        mediaWs.send(JSON.stringify(handshake));
-    });
+    /**
+     * Schedule a reconnect of the signaling or media socket, or give up once
+     * the reconnect budget is spent
+     * @param {'signaling'|'media'} socket - socket to reconnect
+     */
+    scheduleReconnect(socket) {
+        if (this.stopped) return;
+
+        const attempt = this.attempts[socket] + 1;
+
+        if (attempt > rtmsReconnect.maxAttempts) {
+            console.log('❌ RTMS RECONNECT BUDGET EXHAUSTED:', {
+                meetingUuid: this.meetingUuid,
+                socket,
+                attempts: this.attempts[socket],
+            });
+            this.finish('failed', { socket, attempts: this.attempts[socket] });
+            return;
+        }
+
+        this.attempts[socket] = attempt;
+        const delay = backoffDelay(attempt - 1);
 
-    mediaWs.on('message', (data) => {
+        this.setState('reconnecting', { socket, attempt, delay });
+
+        clearTimeout(this.timers[socket]);
+        this.timers[socket] = setTimeout(() => {
+            delete this.timers[socket];
+            if (this.stopped) return;
+
+            if (socket === 'signaling') this.connectSignaling();
+            else this.connectMedia();
+        }, delay);
+    }
+
+    /**
+     * Decrypt an encrypted media payload, reporting instead of throwing on
+     * failure
+     * @return {Buffer|null} Decrypted payload or null
+     */
+    decryptMediaPayload(payload) {
         try {
-            const msg = JSON.parse(data.toString());
-            dbg('Media JSON Message:', JSON.stringify(msg, null, 2));
-
-            // Handle successful media handshake
-            if (msg.msg_type === 4 && msg.status_code === 0) {
-                console.log(
-                    '✅ MEDIA HANDSHAKE SUCCESSFUL - Sending CLIENT_READY_ACK...',
-                    {
-                        meetingUuid,
-                        streamId,
-                        mediaParams: msg.media_params,
-                        payloadEncrypted: msg.payload_encrypted,
-                    }
+            return decryptPayload(payload);
+        } catch (err) {
+            console.log('❌ ERROR DECRYPTING MEDIA PAYLOAD:', {
+                meetingUuid: this.meetingUuid,
+                error: err.message,
+            });
+            dbg('Error decrypting media payload:', err);
+            this.emitError(err);
+            return null;
+        }
+    }
+
+    /**
+     * Connect to signaling WebSocket server
+     */
+    connectSignaling() {
+        const { meetingUuid, streamId, serverUrls } = this;
+
+        dbg(`Connecting to signaling WebSocket for meeting ${meetingUuid}`);
+        this.setState('connecting', { socket: 'signaling' });
+
+        const ws = new WebSocket(serverUrls);
+
+        // Store connection for cleanup later
+        this.signaling = ws;
+
+        ws.on('open', () => {
+            console.log('🔌 SIGNALING WEBSOCKET OPENED:', {
+                meetingUuid,
+                streamId,
+            });
+            dbg(
+                `Signaling WebSocket connection opened for meeting ${meetingUuid}`
+            );
+            const signature = generateSignature(
+                zoomApp.clientId,
+                meetingUuid,
+                streamId,
+                zoomApp.clientSecret
+            );
+
+            const handshake = {
+                msg_type: 1, // SIGNALING_HAND_SHAKE_REQ
+                protocol_version: 1,
+                meeting_uuid: meetingUuid,
+                rtms_stream_id: streamId,
+                sequence: Math.floor(Math.random() * 1e9),
+                signature,
+            };
+            ws.send(JSON.stringify(handshake));
+            dbg('Sent handshake to signaling server');
+        });
+
+        ws.on('message', (data) => {
+            let msg;
+            try {
+                msg = JSON.parse(data);
+            } catch (err) {
+                dbg('Ignoring malformed signaling message:', err.message);
+                return;
+            }
+            dbg('Signaling Message:', JSON.stringify(msg, null, 2));
+
+            // Handle handshake response; closing the socket retries the
+            // handshake until the reconnect budget is spent
+            if (msg.msg_type === 2 && msg.status_code !== 0) {
+                this.emitError(
+                    new Error(
+                        `signaling handshake failed with status ${msg.status_code}`
+                    )
                 );
+                ws.close();
+                return;
+            }
 
-                const clientReadyAck = {
-                    msg_type: 7, // CLIENT_READY_ACK
-                    rtms_stream_id: streamId,
-                };
+            if (msg.msg_type === 2) {
+                this.attempts.signaling = 0;
+                this.setState('connected', { socket: 'signaling' });
+
+                // subscribe to participant and active speaker events
+                ws.send(
+                    JSON.stringify({
+                        msg_type: 5, // EVENT_SUBSCRIPTION
+                        events: subscribedEventTypes.map((event_type) => ({
+                            event_type,
+                            subscribe: true,
+                        })),
+                    })
+                );
 
-                console.log('📤 SENDING CLIENT_READY_ACK:', clientReadyAck);
-                signalingSocket.send(JSON.stringify(clientReadyAck));
-                dbg('Media handshake successful, sent start streaming request');
+                const mediaUrl = msg.media_server?.server_urls?.all;
+                if (mediaUrl) {
+                    this.mediaUrl = mediaUrl;
+                    this.connectMedia();
+                }
             }
 
-            // Handle transcript data (according to Zoom docs: msg_type 17)
-            if (msg.msg_type === 17) {
-                // MEDIA_DATA_TRANSCRIPT
-                console.log('🎤 INCOMING TRANSCRIPT (msg_type 17):', {
+            // Handle event, stream state and session state updates
+            const event = parseSignalingEvent(msg);
+            if (event) {
+                console.log('📣 RTMS SIGNALING EVENT:', {
                     meetingUuid,
-                    speaker: msg.content?.user_name || 'Unknown',
-                    text: msg.content?.data || msg.content,
-                    timestamp: new Date().toISOString(),
-                    fullMessage: msg,
+                    streamId,
+                    ...event,
                 });
+                emitMeetingEvent(meetingUuid, { streamId, ...event });
+
+                const data = { meetingUuid, streamId, ...event };
+                this.emit('event', data);
+                if (event.type.startsWith('participant-')) {
+                    this.emit('participant', data);
+                }
+
+                // Zoom ended the stream - don't try to reconnect it
+                const ended =
+                    (event.type === 'stream-state' &&
+                        event.state === 'terminated') ||
+                    (event.type === 'session-state' &&
+                        event.state === 'stopped');
+                if (ended) {
+                    this.finish('stopped', { reason: event.reason });
+                }
+            }
+
+            // Respond to keep-alive requests
+            if (msg.msg_type === 12) {
+                const keepAliveResponse = {
+                    msg_type: 13,
+                    timestamp: msg.timestamp,
+                };
+                dbg('Responding to Signaling KEEP_ALIVE_REQ');
+                ws.send(JSON.stringify(keepAliveResponse));
+            }
+        });
+
+        ws.on('error', (err) => {
+            console.log('⚠️ SIGNALING WEBSOCKET ERROR:', {
+                meetingUuid,
+                error: err.message,
+            });
+            dbg('Signaling socket error:', err);
+            this.emitError(err);
+        });
+
+        ws.on('close', () => {
+            console.log('🔴 SIGNALING WEBSOCKET CLOSED:', { meetingUuid });
+            dbg('Signaling socket closed');
+
+            // ignore sockets that were already replaced or stopped
+            if (this.signaling !== ws) return;
+            delete this.signaling;
+
+            // the media session is bound to the signaling session, so it is
+            // re-established after the next signaling handshake
+            clearTimeout(this.timers.media);
+            const mediaWs = this.media;
+            delete this.media;
+            if (mediaWs) mediaWs.close();
+
+            this.scheduleReconnect('signaling');
+        });
+    }
+
+    /**
+     * Connect to media WebSocket server for transcript and audio data
+     */
+    connectMedia() {
+        const { meetingUuid, streamId, mediaUrl } = this;
+
+        dbg(`Connecting to media WebSocket at ${mediaUrl}`);
+        this.setState('connecting', { socket: 'media' });
+
+        const mediaWs = new WebSocket(mediaUrl, { rejectUnauthorized: false });
+
+        // Set from the payload_encrypted flag of the handshake response
+        let payloadEncrypted = false;
+
+        this.media = mediaWs;
+
+        mediaWs.on('open', () => {
+            console.log('🎬 MEDIA WEBSOCKET OPENED:', {
+                meetingUuid,
+                streamId,
+                mediaUrl,
+            });
+            const signature = generateSignature(
+                zoomApp.clientId,
+                meetingUuid,
+                streamId,
+                zoomApp.clientSecret
+            );
+            const handshake = {
+                msg_type: 3, // DATA_HAND_SHAKE_REQ
+                protocol_version: 1,
+                meeting_uuid: meetingUuid,
+                rtms_stream_id: streamId,
+                signature,
+                media_type: this.mediaTypes.reduce(
+                    (flags, type) => flags | mediaTypeFlags[type],
+                    0
+                ),
+                payload_encryption: rtmsEncryption,
+            };
 
-                // Format transcript data for our app
-                const transcriptData = {
-                    transcript: msg.content?.data || msg.content,
-                    speaker: msg.content?.user_name || 'Unknown',
-                    timestamp: new Date().toISOString(),
+            if (this.mediaTypes.includes('audio')) {
+                handshake.media_params = {
+                    audio: {
+                        content_type: 2, // RAW_AUDIO
+                        sample_rate: 1, // 16kHz
+                        channel: 1, // mono
+                        codec: 1, // L16
+                        data_opt: rtmsAudio.multiStream ? 2 : 1, // MULTI_STREAMS : MIXED_STREAM
+                        send_rate: 100,
+                    },
                 };
-                onTranscript(meetingUuid, transcriptData);
             }
 
-            // Handle legacy format (msg_type 5) - keep for backward compatibility
-            else if (msg.msg_type === 5 && msg.payload) {
-                // DATA_FRAME
-                try {
-                    const transcriptData = JSON.parse(msg.payload);
-                    if (transcriptData.transcript) {
+            mediaWs.send(JSON.stringify(handshake));
+        });
+
+        mediaWs.on('message', (data) => {
+            const receivedAt = new Date();
+            this.stats.messages += 1;
+            this.stats.bytes += data.length;
+            this.stats.lastMessageAt = receivedAt.toISOString();
+
+            try {
+                const msg = JSON.parse(data.toString());
+                dbg('Media JSON Message:', JSON.stringify(msg, null, 2));
+
+                // A failed media handshake is retried like a dropped socket
+                if (msg.msg_type === 4 && msg.status_code !== 0) {
+                    this.emitError(
+                        new Error(
+                            `media handshake failed with status ${msg.status_code}`
+                        )
+                    );
+                    mediaWs.close();
+                    return;
+                }
+
+                // Handle successful media handshake
+                if (msg.msg_type === 4 && msg.status_code === 0) {
+                    payloadEncrypted = !!msg.payload_encrypted;
+
+                    // the server won't change its mind, so reconnecting is
+                    // pointless: fail the session instead
+                    if (rtmsEncryption && !payloadEncrypted) {
                         console.log(
-                            '🎤 INCOMING TRANSCRIPT (legacy msg_type 5):',
-                            {
-                                meetingUuid,
-                                speaker: transcriptData.speaker || 'Unknown',
-                                text: transcriptData.transcript,
-                                timestamp: new Date().toISOString(),
-                                fullData: transcriptData,
-                            }
+                            '❌ MEDIA SERVER REFUSED PAYLOAD ENCRYPTION - failing session',
+                            { meetingUuid, streamId }
+                        );
+                        this.emitError(
+                            new Error('media server refused payload encryption')
                         );
-                        onTranscript(meetingUuid, transcriptData);
+                        this.finish('failed', {
+                            socket: 'media',
+                            reason: 'payload encryption refused',
+                        });
+                        return;
                     }
-                } catch (err) {
+
                     console.log(
-                        '❌ Error parsing legacy transcript data:',
-                        err
+                        '✅ MEDIA HANDSHAKE SUCCESSFUL - Sending CLIENT_READY_ACK...',
+                        {
+                            meetingUuid,
+                            streamId,
+                            mediaParams: msg.media_params,
+                            payloadEncrypted: msg.payload_encrypted,
+                        }
                     );
-                    dbg('Error parsing transcript data:', err);
+
+                    const clientReadyAck = {
+                        msg_type: 7, // CLIENT_READY_ACK
+                        rtms_stream_id: streamId,
+                    };
+
+                    console.log('📤 SENDING CLIENT_READY_ACK:', clientReadyAck);
+                    this.signaling?.send(JSON.stringify(clientReadyAck));
+                    dbg(
+                        'Media handshake successful, sent start streaming request'
+                    );
+
+                    this.attempts.media = 0;
+                    this.setState('streaming', { socket: 'media' });
                 }
-            }
 
-            // Respond to keep-alive requests
-            if (msg.msg_type === 12) {
-                mediaWs.send(
-                    JSON.stringify({
-                        msg_type: 13,
-                        timestamp: msg.timestamp,
-                    })
-                );
-                dbg('Responded to Media KEEP_ALIVE_REQ');
+                // Handle audio data (msg_type 14)
+                if (msg.msg_type === 14 && this.mediaTypes.includes('audio')) {
+                    // MEDIA_DATA_AUDIO
+                    const data = msg.content?.data;
+                    const audio =
+                        data && payloadEncrypted
+                            ? this.decryptMediaPayload(data)
+                            : data && Buffer.from(data, 'base64');
+                    if (audio) {
+                        this.emit('audio', {
+                            meetingUuid,
+                            streamId,
+                            userId: msg.content?.user_id,
+                            data: audio,
+                            timestamp: msg.content?.timestamp,
+                        });
+                    }
+                }
+
+                // Handle transcript data (according to Zoom docs: msg_type 17)
+                else if (msg.msg_type === 17) {
+                    // MEDIA_DATA_TRANSCRIPT
+                    if (payloadEncrypted && msg.content?.data) {
+                        const text = this.decryptMediaPayload(msg.content.data);
+                        if (!text) return;
+                        msg.content.data = text.toString('utf-8');
+                    }
+
+                    // Normalize into an utterance record, keeping Zoom's fields
+                    const transcriptData = normalizeUtterance(msg.content, {
+                        meetingUuid,
+                        streamId,
+                        receivedAt,
+                    });
+
+                    console.log('🎤 INCOMING TRANSCRIPT (msg_type 17):', {
+                        meetingUuid,
+                        speaker: transcriptData.speaker,
+                        userId: transcriptData.userId,
+                        text: transcriptData.transcript,
+                        timestamp: transcriptData.timestamp,
+                        latencyMs: transcriptData.latencyMs,
+                        fullMessage: msg,
+                    });
+
+                    this.emit('transcript', transcriptData);
+                }
+
+                // Handle legacy format (msg_type 5) - keep for backward compatibility
+                else if (msg.msg_type === 5 && msg.payload) {
+                    // DATA_FRAME
+                    try {
+                        const payload = payloadEncrypted
+                            ? decryptPayload(msg.payload).toString('utf-8')
+                            : msg.payload;
+                        const { transcript, speaker, ...rest } =
+                            JSON.parse(payload);
+                        if (transcript) {
+                            const transcriptData = normalizeUtterance(
+                                {
+                                    ...rest,
+                                    data: transcript,
+                                    user_name: speaker,
+                                },
+                                { meetingUuid, streamId, receivedAt }
+                            );
+                            console.log(
+                                '🎤 INCOMING TRANSCRIPT (legacy msg_type 5):',
+                                {
+                                    meetingUuid,
+                                    speaker: transcriptData.speaker,
+                                    text: transcriptData.transcript,
+                                    timestamp: transcriptData.timestamp,
+                                    fullData: transcriptData,
+                                }
+                            );
+                            this.emit('transcript', transcriptData);
+                        }
+                    } catch (err) {
+                        console.log(
+                            '❌ Error parsing legacy transcript data:',
+                            err
+                        );
+                        dbg('Error parsing transcript data:', err);
+                    }
+                }
+
+                // Respond to keep-alive requests
+                if (msg.msg_type === 12) {
+                    mediaWs.send(
+                        JSON.stringify({
+                            msg_type: 13,
+                            timestamp: msg.timestamp,
+                        })
+                    );
+                    dbg('Responded to Media KEEP_ALIVE_REQ');
+                }
+            } catch (err) {
+                // Binary data - not transcript
+                console.log('📊 RECEIVED BINARY DATA (not transcript):', {
+                    meetingUuid,
+                    dataLength: data.length,
+                    dataType: typeof data,
+                    isBuffer: Buffer.isBuffer(data),
+                });
+                dbg('Received binary data (not transcript)');
             }
-        } catch (err) {
-            // Binary data - not transcript
-            console.log('📊 RECEIVED BINARY DATA (not transcript):', {
+        });
+
+        mediaWs.on('error', (err) => {
+            console.log('⚠️ MEDIA WEBSOCKET ERROR:', {
                 meetingUuid,
-                dataLength: data.length,
-                dataType: typeof data,
-                isBuffer: Buffer.isBuffer(data),
+                error: err.message,
             });
-            dbg('Received binary data (not transcript)');
-        }
-    });
+            dbg('Media socket error:', err);
+            this.emitError(err);
+        });
+
+        mediaWs.on('close', () => {
+            console.log('🔴 MEDIA WEBSOCKET CLOSED:', { meetingUuid });
+            dbg('Media socket closed');
 
-    mediaWs.on('error', (err) => {
-        console.log('⚠️ MEDIA WEBSOCKET ERROR:', {
-            meetingUuid,
-            error: err.message,
+            // ignore sockets that were already replaced or stopped
+            if (this.media !== mediaWs) return;
+            delete this.media;
+
+            // only the media socket dropped - reconnect it on the live signaling
+            // session, otherwise the signaling reconnect takes care of it
+            if (this.signaling?.readyState === WebSocket.OPEN) {
+                this.scheduleReconnect('media');
+            }
         });
-        dbg('Media socket error:', err);
-    });
-
-    mediaWs.on('close', () => {
-        console.log('🔴 MEDIA WEBSOCKET CLOSED:', { meetingUuid });
-        dbg('Media socket closed');
-        if (activeConnections.has(meetingUuid)) {
-            delete activeConnections.get(meetingUuid).media;
-        }
-    });
+    }
 }
 
 /**
- * Start RTMS connection for a meeting
+ * Start an RTMS stream for a meeting
+ * Streams are keyed by RTMS stream ID, so a meeting can run several at once
+ * @param {string} meetingUuid - Meeting UUID
+ * @param {string} streamId - RTMS stream ID
+ * @param {string} serverUrls - Signaling server URL
+ * @param {Function} [onTranscript] - called with (meetingUuid, transcriptData)
+ * @return {RtmsSession} the started session
  */
 export function startRTMS(meetingUuid, streamId, serverUrls, onTranscript) {
-    console.log('🔗 STARTING RTMS CONNECTION:', {
-        meetingUuid,
-        streamId,
-        serverUrls,
-        timestamp: new Date().toISOString(),
-    });
-    dbg(`Starting RTMS for meeting ${meetingUuid}`);
-    connectToSignalingWebSocket(
-        meetingUuid,
-        streamId,
-        serverUrls,
-        onTranscript
-    );
+    const session = new RtmsSession({ meetingUuid, streamId, serverUrls });
+
+    if (onTranscript) {
+        session.on('transcript', (transcriptData) =>
+            onTranscript(meetingUuid, transcriptData)
+        );
+    }
+
+    session.start().catch((err) => dbg('RTMS session did not start:', err));
+
+    return session;
 }
 
 /**
- * Stop RTMS connection for a meeting
+ * Stop one RTMS stream, or every stream of a meeting
+ * @param {string} meetingUuid - Meeting UUID
+ * @param {string} [streamId] - RTMS stream ID, all of the meeting's streams if omitted
+ * @return {number} number of streams stopped
  */
-export function stopRTMS(meetingUuid) {
-    dbg(`Stopping RTMS for meeting ${meetingUuid}`);
-    if (activeConnections.has(meetingUuid)) {
-        const connections = activeConnections.get(meetingUuid);
-        for (const conn of Object.values(connections)) {
-            if (conn && typeof conn.close === 'function') {
-                conn.close();
-            }
-        }
-        activeConnections.delete(meetingUuid);
+export function stopRTMS(meetingUuid, streamId) {
+    dbg(`Stopping RTMS ${streamId || 'streams'} for meeting ${meetingUuid}`);
+
+    const sessions = streamId
+        ? [RtmsSession.get(streamId)].filter(
+              (session) => session?.meetingUuid === meetingUuid
+          )
+        : RtmsSession.forMeeting(meetingUuid);
+
+    for (const session of sessions) {
+        session.stop();
     }
+
+    return sessions.length;
+}
+
+/**
+ * Get metadata for the active streams of a meeting, or of every meeting
+ * @param {string} [meetingUuid] - Meeting UUID
+ * @return {Object[]}
+ */
+export function getStreams(meetingUuid) {
+    return listStreams(meetingUuid).map(describeStream);
 }
 
 /**
- * Get active connections count
+ * Get active streams count
  */
 export function getActiveConnectionsCount() {
-    return activeConnections.size;
+    return streamCount();
 }
@@ -0,0 +1,48 @@
+// Counters since the server started
+const totals = {
+    connections: 0,
+    messagesDropped: 0,
+    slowClientsDisconnected: 0,
+    unresponsiveClientsTerminated: 0,
+};
+
+// Map of client ID -> function describing that connected client
+const clients = new Map();
+let nextClientId = 1;
+
+/**
+ * Count an event in the /transcript-ws totals
+ * @param {string} name - a key of the totals
+ * @param {number} [count=1]
+ */
+export function countSocketMetric(name, count = 1) {
+    totals[name] += count;
+}
+
+/**
+ * Track a connected /transcript-ws client
+ * @param {Function} describe - returns the client's current state
+ * @return {Function} call when the client disconnects
+ */
+export function trackSocketClient(describe) {
+    const id = nextClientId++;
+    clients.set(id, describe);
+    totals.connections += 1;
+
+    return () => clients.delete(id);
+}
+
+/**
+ * Get the /transcript-ws totals and the state of every connected client
+ * @return {{totals: Object, connected: number, clients: Object[]}}
+ */
+export function getSocketMetrics() {
+    return {
+        totals: { ...totals },
+        connected: clients.size,
+        clients: Array.from(clients, ([id, describe]) => ({
+            id,
+            ...describe(),
+        })),
+    };
+}
@@ -0,0 +1,76 @@
+import debug from 'debug';
+
+const dbg = debug('zoom-app:stream-registry');
+
+// Map of RTMS stream ID -> stream connection
+const streams = new Map();
+
+/**
+ * Register a stream connection under its RTMS stream ID
+ * @param {Object} stream - stream connection with meetingUuid and streamId
+ * @return {Object} the registered stream
+ */
+export function registerStream(stream) {
+    streams.set(stream.streamId, stream);
+    dbg(`Registered stream ${stream.streamId} for ${stream.meetingUuid}`);
+    return stream;
+}
+
+/**
+ * Remove a stream from the registry if it is still the registered one
+ * @param {Object} stream - stream connection to remove
+ */
+export function unregisterStream(stream) {
+    if (streams.get(stream.streamId) === stream) {
+        streams.delete(stream.streamId);
+        dbg(`Unregistered stream ${stream.streamId}`);
+    }
+}
+
+/**
+ * Get a stream connection by RTMS stream ID
+ * @param {string} streamId - RTMS stream ID
+ * @return {Object|undefined}
+ */
+export function getStream(streamId) {
+    return streams.get(streamId);
+}
+
+/**
+ * List stream connections, optionally only those of one meeting
+ * @param {string} [meetingUuid] - meeting to filter on
+ * @return {Object[]}
+ */
+export function listStreams(meetingUuid) {
+    const all = Array.from(streams.values());
+    return meetingUuid
+        ? all.filter((stream) => stream.meetingUuid === meetingUuid)
+        : all;
+}
+
+/**
+ * Number of registered streams
+ */
+export function streamCount() {
+    return streams.size;
+}
+
+/**
+ * Serializable metadata for a stream connection
+ * @param {Object} stream - stream connection
+ * @return {Object}
+ */
+export function describeStream(stream) {
+    return {
+        streamId: stream.streamId,
+        meetingUuid: stream.meetingUuid,
+        state: stream.state,
+        startedAt: stream.startedAt,
+        mediaTypes: stream.mediaTypes,
+        sockets: {
+            signaling: !!stream.signaling,
+            media: !!stream.media,
+        },
+        ...stream.stats,
+    };
+}
@@ -0,0 +1,216 @@
+import debug from 'debug';
+import { liveTranscripts } from '../../config.js';
+import { getTranscriptRepository } from '../storage/index.js';
+import { meetingEvents, releaseMeetingEvents } from './rtms-events.js';
+
+const dbg = debug('zoom-app:transcript-broker');
+
+// Most utterances a resuming subscriber is sent from the transcript store
+const maxBackfill = 1000;
+
+// Map of meeting UUID -> room with its subscribers and RTMS event listener
+const rooms = new Map();
+
+// Map of meeting UUID -> most recent utterances with a seq, oldest first
+const history = new Map();
+
+/**
+ * Get a meeting's room, creating it and forwarding its RTMS events when it
+ * gets its first subscriber
+ */
+function roomOf(meetingUuid) {
+    let room = rooms.get(meetingUuid);
+    if (room) return room;
+
+    room = {
+        subscribers: new Set(),
+        onEvent: (event) => publish(meetingUuid, 'rtms-event', event),
+    };
+    meetingEvents(meetingUuid).on('event', room.onEvent);
+    rooms.set(meetingUuid, room);
+    dbg(`Opened room for ${meetingUuid}`);
+
+    return room;
+}
+
+/**
+ * Close a meeting's room once its last subscriber has left
+ */
+function closeRoom(meetingUuid) {
+    const room = rooms.get(meetingUuid);
+    if (!room || room.subscribers.size) return;
+
+    meetingEvents(meetingUuid).off('event', room.onEvent);
+    releaseMeetingEvents(meetingUuid);
+    rooms.delete(meetingUuid);
+    dbg(`Closed room for ${meetingUuid}`);
+}
+
+/**
+ * Build a message with its serialized form, shared by all subscribers
+ */
+function messageOf(meetingUuid, type, data, extra) {
+    const message = { type, meetingUuid, ...extra, data };
+    return [message, JSON.stringify(message)];
+}
+
+/**
+ * Find the utterances after sinceSeq, from the live buffer when it reaches
+ * back far enough and from the transcript store otherwise
+ * @param {string} meetingUuid - Meeting UUID
+ * @param {number} sinceSeq - last seq the subscriber has seen
+ * @return {Promise<Object[]>} utterances with their seq, oldest first
+ */
+export async function backfill(meetingUuid, sinceSeq) {
+    const buffered = history.get(meetingUuid) || [];
+    if (buffered.length && buffered[0].seq <= sinceSeq + 1) {
+        return buffered.filter((u) => u.seq > sinceSeq);
+    }
+
+    const repository = await getTranscriptRepository();
+    const stored = await repository.getUtterances(meetingUuid, {
+        after: sinceSeq,
+        limit: maxBackfill,
+    });
+
+    return stored.map((u) => ({ ...u, seq: u.id }));
+}
+
+/**
+ * Subscribe to a meeting's live transcript and RTMS events
+ *
+ * With sinceSeq, the utterances after it are sent first, flagged with
+ * replay: true, and live messages are held back until they have been.
+ * @param {string} meetingUuid - Meeting UUID
+ * @param {Function} subscriber - called with (message, json) for every
+ *  message, where message is {type, meetingUuid, data} and json its
+ *  serialized form
+ * @param {Object} [options]
+ * @param {number} [options.sinceSeq] - last seq the subscriber has seen
+ * @return {Function} unsubscribe function
+ */
+export function subscribe(meetingUuid, subscriber, { sinceSeq } = {}) {
+    const resuming = Number.isInteger(sinceSeq) && sinceSeq >= 0;
+
+    // live messages that arrive while the backfill is loading
+    let held = resuming ? [] : null;
+    const entry = (message, json) =>
+        held ? held.push([message, json]) : subscriber(message, json);
+
+    roomOf(meetingUuid).subscribers.add(entry);
+    const unsubscribe = () => {
+        rooms.get(meetingUuid)?.subscribers.delete(entry);
+        closeRoom(meetingUuid);
+    };
+
+    if (resuming) {
+        backfill(meetingUuid, sinceSeq)
+            .catch((err) => {
+                dbg(`Backfill of ${meetingUuid} failed:`, err);
+                return [];
+            })
+            .then((utterances) => {
+                if (!rooms.get(meetingUuid)?.subscribers.has(entry)) return;
+
+                const pending = held;
+                held = null;
+
+                let lastSeq = sinceSeq;
+                for (const utterance of utterances) {
+                    subscriber(
+                        ...messageOf(meetingUuid, 'transcript', utterance, {
+                            replay: true,
+                        })
+                    );
+                    lastSeq = utterance.seq;
+                }
+
+                console.log('⏪ TRANSCRIPT BACKFILL SENT:', {
+                    meetingUuid,
+                    sinceSeq,
+                    utterances: utterances.length,
+                });
+
+                // skip live utterances the backfill already covered
+                for (const [message, json] of pending) {
+                    if (message.data?.seq <= lastSeq) continue;
+                    subscriber(message, json);
+                }
+            })
+            .catch((err) => dbg(`Resuming ${meetingUuid} failed:`, err));
+    }
+
+    return unsubscribe;
+}
+
+/**
+ * Send a message to every subscriber of a meeting
+ * A subscriber that throws is logged and does not stop the others.
+ * @param {string} meetingUuid - Meeting UUID
+ * @param {string} type - message type, e.g. transcript or rtms-event
+ * @param {Object} data - message data
+ * @return {number} number of subscribers the message went to
+ */
+export function publish(meetingUuid, type, data) {
+    const room = rooms.get(meetingUuid);
+    if (!room) return 0;
+
+    const [message, json] = messageOf(meetingUuid, type, data);
+
+    // copy so subscribers may unsubscribe while we deliver
+    const subscribers = Array.from(room.subscribers);
+    for (const subscriber of subscribers) {
+        try {
+            subscriber(message, json);
+        } catch (err) {
+            dbg(`Subscriber of ${meetingUuid} failed:`, err);
+        }
+    }
+
+    return subscribers.length;
+}
+
+/**
+ * Send an utterance to every subscriber of its meeting, keeping it for
+ * resuming subscribers when it has a seq
+ * @param {string} meetingUuid - Meeting UUID
+ * @param {Object} utterance - normalized utterance, with the seq it was
+ *  stored under
+ * @return {number} number of subscribers the utterance went to
+ */
+export function publishTranscript(meetingUuid, utterance) {
+    if (Number.isInteger(utterance.seq)) {
+        if (!history.has(meetingUuid)) history.set(meetingUuid, []);
+        const buffered = history.get(meetingUuid);
+        buffered.push(utterance);
+        if (buffered.length > liveTranscripts.bufferSize) buffered.shift();
+    }
+
+    const delivered = publish(meetingUuid, 'transcript', utterance);
+
+    console.log('🚀 EMITTING TRANSCRIPT TO CLIENTS:', {
+        meetingUuid,
+        seq: utterance.seq,
+        clientsInRoom: delivered,
+    });
+
+    return delivered;
+}
+
+/**
+ * Drop the live buffer of a meeting that is over; resuming subscribers are
+ * then backfilled from the transcript store
+ * @param {string} meetingUuid - Meeting UUID
+ */
+export function clearHistory(meetingUuid) {
+    history.delete(meetingUuid);
+}
+
+/**
+ * Count the subscribers of a meeting
+ * @param {string} meetingUuid - Meeting UUID
+ * @return {number}
+ */
+export function subscriberCount(meetingUuid) {
+    return rooms.get(meetingUuid)?.subscribers.size || 0;
+}
@@ -0,0 +1,49 @@
+import debug from 'debug';
+
+const dbg = debug('zoom-app:webhook-dispatcher');
+
+// Map of webhook event name -> Set of handlers
+const handlers = new Map();
+
+/**
+ * Register a handler for a Zoom webhook event
+ * @param {string} event - event name, e.g. meeting.rtms_started
+ * @param {Function} handler - called with (payload, body), may be async
+ * @return {Function} unsubscribe function
+ */
+export function onWebhook(event, handler) {
+    if (!handlers.has(event)) handlers.set(event, new Set());
+    handlers.get(event).add(handler);
+
+    return () => handlers.get(event)?.delete(handler);
+}
+
+/**
+ * Run every handler registered for a webhook body's event
+ * Handler errors are logged and reported, never thrown.
+ * @param {Object} body - parsed webhook body with event and payload
+ * @return {Promise<{event: string, handled: number, errors: string[]}>}
+ */
+export async function dispatchWebhook(body) {
+    const { event, payload } = body;
+    const eventHandlers = Array.from(handlers.get(event) || []);
+
+    if (!eventHandlers.length) {
+        dbg(`No handler for webhook event ${event}`);
+        return { event, handled: 0, errors: [] };
+    }
+
+    const results = await Promise.allSettled(
+        eventHandlers.map(async (handler) => handler(payload, body))
+    );
+
+    const errors = results
+        .filter(({ status }) => status === 'rejected')
+        .map(({ reason }) => reason?.message || String(reason));
+
+    for (const error of errors) {
+        console.log('❌ WEBHOOK HANDLER ERROR:', { event, error });
+    }
+
+    return { event, handled: eventHandlers.length, errors };
+}
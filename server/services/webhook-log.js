@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import debug from 'debug';
+import { webhookLog } from '../../config.js';
+
+const dbg = debug('zoom-app:webhook-log');
+
+// Map of event ID -> log entry, oldest first
+const entries = new Map();
+
+/**
+ * Identify a webhook by its type, timestamp and payload, which Zoom keeps
+ * the same when it retries a delivery
+ * @param {Object} body - parsed webhook body
+ * @return {{eventId: string, payloadHash: string}}
+ */
+export function webhookEventId({ event, event_ts, payload }) {
+    const payloadHash = crypto
+        .createHash('sha256')
+        .update(JSON.stringify(payload ?? null))
+        .digest('hex');
+
+    return {
+        eventId: `${event}:${event_ts}:${payloadHash.slice(0, 16)}`,
+        payloadHash,
+    };
+}
+
+/**
+ * Record an incoming webhook, or count it as a duplicate of one already seen
+ * @param {Object} body - parsed webhook body
+ * @param {Object} [meta]
+ * @param {string} [meta.trackingId] - x-zm-trackingid header
+ * @return {{entry: Object, duplicate: boolean}}
+ */
+export function recordWebhook(body, { trackingId } = {}) {
+    const { eventId, payloadHash } = webhookEventId(body);
+    const now = new Date().toISOString();
+
+    const existing = entries.get(eventId);
+    if (existing) {
+        existing.duplicates += 1;
+        existing.lastDuplicateAt = now;
+        dbg(`Duplicate webhook ${eventId}`);
+        return { entry: existing, duplicate: true };
+    }
+
+    const entry = {
+        eventId,
+        event: body.event,
+        eventTs: body.event_ts ?? null,
+        payloadHash,
+        trackingId: trackingId || null,
+        receivedAt: now,
+        outcome: 'processing',
+        handled: 0,
+        errors: [],
+        completedAt: null,
+        duplicates: 0,
+        lastDuplicateAt: null,
+        body,
+    };
+
+    entries.set(eventId, entry);
+
+    // drop the oldest entries past the retention limit
+    for (const id of entries.keys()) {
+        if (entries.size <= webhookLog.maxEntries) break;
+        entries.delete(id);
+    }
+
+    return { entry, duplicate: false };
+}
+
+/**
+ * Store the outcome of dispatching a webhook
+ * @param {string} eventId - ID from recordWebhook
+ * @param {Object} result - result of dispatchWebhook
+ */
+export function completeWebhook(eventId, { handled, errors }) {
+    const entry = entries.get(eventId);
+    if (!entry) return;
+
+    entry.handled = handled;
+    entry.errors = errors;
+    entry.completedAt = new Date().toISOString();
+
+    if (errors.length) entry.outcome = 'failed';
+    else if (!handled) entry.outcome = 'unhandled';
+    else entry.outcome = 'processed';
+
+    dbg(`Webhook ${eventId} ${entry.outcome}`);
+}
+
+/**
+ * List recent webhooks, newest first, without their bodies
+ * @param {Object} [filter]
+ * @param {string} [filter.event] - only this event type
+ * @param {string} [filter.outcome] - only this outcome
+ * @param {number} [filter.limit=100] - maximum number of entries
+ * @return {Object[]}
+ */
+export function listWebhooks({ event, outcome, limit = 100 } = {}) {
+    return Array.from(entries.values())
+        .reverse()
+        .filter(
+            (entry) =>
+                (!event || entry.event === event) &&
+                (!outcome || entry.outcome === outcome)
+        )
+        .slice(0, limit)
+        .map(({ body, ...summary }) => ({
+            ...summary,
+            meetingUuid:
+                body.payload?.meeting_uuid ?? body.payload?.object?.uuid,
+        }));
+}
+
+/**
+ * Get a logged webhook with its body
+ * @param {string} eventId - event ID
+ * @return {Object|undefined}
+ */
+export function getWebhook(eventId) {
+    return entries.get(eventId);
+}
@@ -0,0 +1,64 @@
+import path from 'path';
+import debug from 'debug';
+import { storage } from '../../config.js';
+import { MemoryTranscriptRepository } from './memory.js';
+import { JsonlTranscriptRepository } from './jsonl.js';
+
+const dbg = debug('zoom-app:storage');
+
+/**
+ * Transcript repository interface implemented by every storage adapter
+ *
+ * Meetings are plain objects keyed by `meetingUuid`; saveMeeting merges the
+ * given fields into the stored record. Utterances are the records built by
+ * normalizeUtterance and get a per-meeting `id` (1, 2, 3...) when appended.
+ *
+ * @typedef {import('./query.js').UtteranceQuery} UtteranceQuery
+ * @typedef {Object} TranscriptRepository
+ * @property {function(Object): Promise<Object>} saveMeeting - create or update a meeting
+ * @property {function(string): Promise<Object|null>} getMeeting - get a meeting by UUID
+ * @property {function(): Promise<Object[]>} listMeetings - every stored meeting
+ * @property {function(Object): Promise<Object>} appendUtterance - store an utterance
+ * @property {function(string, UtteranceQuery=): Promise<Object[]>} getUtterances - a meeting's utterances in order, optionally filtered
+ * @property {function(): Promise} close - flush and release the store
+ */
+
+let repository;
+
+/**
+ * Create the adapter selected by STORAGE_DRIVER
+ * @return {Promise<TranscriptRepository>}
+ */
+async function createRepository() {
+    switch (storage.driver) {
+        case 'memory':
+            return new MemoryTranscriptRepository();
+        case 'file':
+            return new JsonlTranscriptRepository({ dir: storage.dir });
+        case 'sqlite': {
+            // only load the native module when it is actually used
+            const { SqliteTranscriptRepository } = await import('./sqlite.js');
+            return new SqliteTranscriptRepository({
+                file: path.join(storage.dir, 'transcripts.db'),
+            });
+        }
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER: ${storage.driver}`);
+    }
+}
+
+/**
+ * Get the transcript repository, creating it on first use
+ * @return {Promise<TranscriptRepository>}
+ */
+export function getTranscriptRepository() {
+    if (!repository) {
+        dbg(`Using ${storage.driver} transcript storage`);
+        // don't cache a failure, the next caller tries again
+        repository = createRepository().catch((e) => {
+            repository = undefined;
+            throw e;
+        });
+    }
+    return repository;
+}
@@ -0,0 +1,172 @@
+import fs from 'fs/promises';
+import path from 'path';
+import debug from 'debug';
+import { filterUtterances } from './query.js';
+
+const dbg = debug('zoom-app:storage:jsonl');
+
+/**
+ * Meeting UUIDs can contain "/", "+" and "=", so directory names are the
+ * base64url of the UUID, which also lets us read the UUID back
+ */
+const dirName = (meetingUuid) =>
+    Buffer.from(meetingUuid, 'utf-8').toString('base64url');
+
+const meetingUuidOf = (name) =>
+    Buffer.from(name, 'base64url').toString('utf-8');
+
+async function readJSON(file, fallback) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return fallback;
+        throw e;
+    }
+}
+
+/**
+ * Transcript repository on disk
+ *
+ * Every meeting gets a folder under `<dir>/meetings/` holding `meeting.json`
+ * and an append-only `transcript.jsonl` with one utterance per line.
+ */
+export class JsonlTranscriptRepository {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - folder to store meetings in
+     */
+    constructor({ dir }) {
+        this.dir = path.resolve(dir, 'meetings');
+
+        // Map of meeting UUID -> promise chain serializing that meeting's writes
+        this.queues = new Map();
+        // Map of meeting UUID -> next utterance ID
+        this.nextIds = new Map();
+    }
+
+    files(meetingUuid) {
+        const dir = path.join(this.dir, dirName(meetingUuid));
+        return {
+            dir,
+            meeting: path.join(dir, 'meeting.json'),
+            transcript: path.join(dir, 'transcript.jsonl'),
+        };
+    }
+
+    /**
+     * Run a write after every earlier write for the same meeting
+     */
+    enqueue(meetingUuid, task) {
+        const previous = this.queues.get(meetingUuid) || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+
+        this.queues.set(meetingUuid, next);
+        next.finally(() => {
+            if (this.queues.get(meetingUuid) === next) {
+                this.queues.delete(meetingUuid);
+            }
+        }).catch(() => {});
+
+        return next;
+    }
+
+    async saveMeeting(meeting) {
+        const files = this.files(meeting.meetingUuid);
+
+        return this.enqueue(meeting.meetingUuid, async () => {
+            await fs.mkdir(files.dir, { recursive: true });
+
+            const saved = {
+                ...(await readJSON(files.meeting, {})),
+                ...meeting,
+            };
+
+            // write then rename so a crash never leaves half a file behind
+            const tmp = `${files.meeting}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify(saved, null, 2));
+            await fs.rename(tmp, files.meeting);
+
+            return saved;
+        });
+    }
+
+    async getMeeting(meetingUuid) {
+        return readJSON(this.files(meetingUuid).meeting, null);
+    }
+
+    async listMeetings() {
+        let names = [];
+        try {
+            names = await fs.readdir(this.dir);
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+
+        const meetings = await Promise.all(
+            names.map((name) => this.getMeeting(meetingUuidOf(name)))
+        );
+
+        return meetings.filter(Boolean);
+    }
+
+    async appendUtterance(utterance) {
+        const { meetingUuid } = utterance;
+        const files = this.files(meetingUuid);
+
+        return this.enqueue(meetingUuid, async () => {
+            await fs.mkdir(files.dir, { recursive: true });
+
+            // pick up the numbering where a previous run left off; skipped
+            // corrupt lines mean the count of records can be below the last ID
+            if (!this.nextIds.has(meetingUuid)) {
+                const existing = await this.getUtterances(meetingUuid);
+                const lastId = existing.reduce(
+                    (max, { id }) =>
+                        Number.isInteger(id) && id > max ? id : max,
+                    0
+                );
+                this.nextIds.set(meetingUuid, lastId + 1);
+            }
+
+            const id = this.nextIds.get(meetingUuid);
+            const record = { id, ...utterance };
+
+            await fs.appendFile(
+                files.transcript,
+                `${JSON.stringify(record)}\n`
+            );
+            this.nextIds.set(meetingUuid, id + 1);
+
+            return record;
+        });
+    }
+
+    async getUtterances(meetingUuid, query) {
+        let text = '';
+        try {
+            text = await fs.readFile(
+                this.files(meetingUuid).transcript,
+                'utf-8'
+            );
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+
+        const utterances = [];
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                utterances.push(JSON.parse(line));
+            } catch (e) {
+                // a torn last line from a crash shouldn't hide the rest
+                dbg(`Skipping unreadable transcript line for ${meetingUuid}`);
+            }
+        }
+
+        return filterUtterances(utterances, query);
+    }
+
+    async close() {
+        await Promise.allSettled(this.queues.values());
+    }
+}
@@ -0,0 +1,50 @@
+import { filterUtterances } from './query.js';
+
+/**
+ * Transcript repository kept in process memory - nothing survives a restart
+ */
+export class MemoryTranscriptRepository {
+    constructor() {
+        // Map of meeting UUID -> { meeting, utterances }
+        this.meetings = new Map();
+    }
+
+    entry(meetingUuid) {
+        if (!this.meetings.has(meetingUuid)) {
+            this.meetings.set(meetingUuid, { meeting: null, utterances: [] });
+        }
+        return this.meetings.get(meetingUuid);
+    }
+
+    async saveMeeting(meeting) {
+        const entry = this.entry(meeting.meetingUuid);
+        entry.meeting = { ...entry.meeting, ...meeting };
+        return entry.meeting;
+    }
+
+    async getMeeting(meetingUuid) {
+        return this.meetings.get(meetingUuid)?.meeting || null;
+    }
+
+    async listMeetings() {
+        return Array.from(this.meetings.values())
+            .map(({ meeting }) => meeting)
+            .filter(Boolean);
+    }
+
+    async appendUtterance(utterance) {
+        const { utterances } = this.entry(utterance.meetingUuid);
+        const record = { id: utterances.length + 1, ...utterance };
+        utterances.push(record);
+        return record;
+    }
+
+    async getUtterances(meetingUuid, query) {
+        return filterUtterances(
+            this.meetings.get(meetingUuid)?.utterances || [],
+            query
+        );
+    }
+
+    async close() {}
+}
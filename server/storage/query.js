@@ -0,0 +1,34 @@
+/**
+ * Utterance query accepted by TranscriptRepository#getUtterances
+ *
+ * @typedef {Object} UtteranceQuery
+ * @property {number} [after] - only utterances with a greater ID (cursor)
+ * @property {number} [limit] - maximum number of utterances to return
+ * @property {string} [from] - ISO time, only utterances at or after it
+ * @property {string} [to] - ISO time, only utterances at or before it
+ * @property {string[]} [speakers] - speaker names to keep (case-insensitive)
+ * @property {string[]} [userIds] - Zoom user IDs to keep
+ */
+
+/**
+ * Apply an utterance query to utterances already sorted by ID
+ * Used by the adapters that cannot filter in their backing store
+ * @param {Object[]} utterances - a meeting's utterances in order
+ * @param {UtteranceQuery} [query]
+ * @return {Object[]}
+ */
+export function filterUtterances(utterances, query = {}) {
+    const { after, limit, from, to, speakers, userIds } = query;
+    const names = speakers?.length && speakers.map((s) => s.toLowerCase());
+
+    const matches = utterances.filter(
+        (u) =>
+            (after === undefined || u.id > after) &&
+            (!from || u.timestamp >= from) &&
+            (!to || u.timestamp <= to) &&
+            (!names || names.includes(String(u.speaker).toLowerCase())) &&
+            (!userIds?.length || userIds.includes(String(u.userId)))
+    );
+
+    return limit === undefined ? matches : matches.slice(0, limit);
+}
@@ -0,0 +1,167 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import debug from 'debug';
+
+const dbg = debug('zoom-app:storage:sqlite');
+
+const schema = `
+    CREATE TABLE IF NOT EXISTS meetings (
+        meeting_uuid TEXT PRIMARY KEY,
+        started_at TEXT,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS utterances (
+        meeting_uuid TEXT NOT NULL,
+        id INTEGER NOT NULL,
+        timestamp TEXT,
+        speaker TEXT,
+        user_id TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (meeting_uuid, id)
+    );
+`;
+
+/**
+ * Transcript repository in a SQLite database
+ *
+ * Records are stored as JSON next to the columns we filter and sort on.
+ */
+export class SqliteTranscriptRepository {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - path of the database file
+     */
+    constructor({ file }) {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(schema);
+
+        dbg(`Opened transcript database ${file}`);
+
+        this.statements = {
+            getMeeting: this.db.prepare(
+                'SELECT data FROM meetings WHERE meeting_uuid = ?'
+            ),
+            putMeeting: this.db.prepare(
+                `INSERT INTO meetings (meeting_uuid, started_at, data)
+                 VALUES (@meetingUuid, @startedAt, @data)
+                 ON CONFLICT (meeting_uuid)
+                 DO UPDATE SET started_at = @startedAt, data = @data`
+            ),
+            listMeetings: this.db.prepare('SELECT data FROM meetings'),
+            nextId: this.db.prepare(
+                'SELECT COALESCE(MAX(id), 0) + 1 AS id FROM utterances WHERE meeting_uuid = ?'
+            ),
+            putUtterance: this.db.prepare(
+                `INSERT INTO utterances (meeting_uuid, id, timestamp, speaker, user_id, data)
+                 VALUES (@meetingUuid, @id, @timestamp, @speaker, @userId, @data)`
+            ),
+        };
+
+        // read-modify-write of a meeting in one transaction
+        this.saveMeetingTx = this.db.transaction((meeting) => {
+            const row = this.statements.getMeeting.get(meeting.meetingUuid);
+            const saved = { ...(row && JSON.parse(row.data)), ...meeting };
+
+            this.statements.putMeeting.run({
+                meetingUuid: saved.meetingUuid,
+                startedAt: saved.startedAt ?? null,
+                data: JSON.stringify(saved),
+            });
+
+            return saved;
+        });
+
+        this.appendUtteranceTx = this.db.transaction((utterance) => {
+            const { id } = this.statements.nextId.get(utterance.meetingUuid);
+            const record = { id, ...utterance };
+
+            this.statements.putUtterance.run({
+                meetingUuid: record.meetingUuid,
+                id,
+                timestamp: record.timestamp ?? null,
+                speaker: record.speaker ?? null,
+                userId:
+                    record.userId === null || record.userId === undefined
+                        ? null
+                        : String(record.userId),
+                data: JSON.stringify(record),
+            });
+
+            return record;
+        });
+    }
+
+    async saveMeeting(meeting) {
+        return this.saveMeetingTx(meeting);
+    }
+
+    async getMeeting(meetingUuid) {
+        const row = this.statements.getMeeting.get(meetingUuid);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async listMeetings() {
+        return this.statements.listMeetings
+            .all()
+            .map((row) => JSON.parse(row.data));
+    }
+
+    async appendUtterance(utterance) {
+        return this.appendUtteranceTx(utterance);
+    }
+
+    /**
+     * @param {string} meetingUuid - Meeting UUID
+     * @param {import('./query.js').UtteranceQuery} [query]
+     */
+    async getUtterances(meetingUuid, query = {}) {
+        const { after, limit, from, to, speakers, userIds } = query;
+        const where = ['meeting_uuid = ?'];
+        const params = [meetingUuid];
+
+        if (after !== undefined) {
+            where.push('id > ?');
+            params.push(after);
+        }
+        if (from) {
+            where.push('timestamp >= ?');
+            params.push(from);
+        }
+        if (to) {
+            where.push('timestamp <= ?');
+            params.push(to);
+        }
+        if (speakers?.length) {
+            where.push(
+                `lower(speaker) IN (${speakers.map(() => 'lower(?)').join()})`
+            );
+            params.push(...speakers);
+        }
+        if (userIds?.length) {
+            where.push(`user_id IN (${userIds.map(() => '?').join()})`);
+            params.push(...userIds.map(String));
+        }
+
+        let sql = `SELECT data FROM utterances WHERE ${where.join(
+            ' AND '
+        )} ORDER BY id`;
+        if (limit !== undefined) {
+            sql += ' LIMIT ?';
+            params.push(limit);
+        }
+
+        return this.db
+            .prepare(sql)
+            .all(...params)
+            .map((row) => JSON.parse(row.data));
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
@@ -0,0 +1,207 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it, mock } from 'node:test';
+import { once } from 'node:events';
+
+// config.js reads the environment on import, so set it up first
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    ZM_CLIENT_ID: 'test-client-id',
+    ZM_CLIENT_SECRET: 'test-client-secret',
+    ZM_REDIRECT_URL: 'http://localhost/auth',
+    SESSION_SECRET: 'test-session-secret',
+    RTMS_AUDIO: 'true',
+    RTMS_PAYLOAD_ENCRYPTION: 'true',
+});
+
+const { encryptPayload, decryptPayload } = await import(
+    '../server/helpers/cipher.js'
+);
+const { MockRtmsServer } = await import('../server/mock/rtms-server.js');
+const { RtmsSession } = await import('../server/services/rtms.js');
+
+const secret = process.env.ZM_CLIENT_SECRET;
+
+// keep the RTMS console logging out of the test report
+mock.method(console, 'log', () => {});
+
+/**
+ * Flip one bit of a decoded payload and re-encode it
+ */
+function tamper(payload, index) {
+    const buf = Buffer.from(payload, 'base64');
+    const at = index < 0 ? buf.length + index : index;
+    buf[at] ^= 0x01;
+    return buf.toString('base64');
+}
+
+/**
+ * Start a mock RTMS server and an RTMS session connected to it
+ */
+async function connect(server) {
+    const { signalingUrl } = await server.start();
+    const session = new RtmsSession({
+        meetingUuid: server.meetingUuid,
+        streamId: server.streamId,
+        serverUrls: signalingUrl,
+    });
+    // errors are asserted on explicitly, keep them from throwing
+    session.on('error', () => {});
+    return session;
+}
+
+describe('encryptPayload / decryptPayload', () => {
+    it('round-trips strings and buffers', () => {
+        const text = 'Hello from the meeting';
+        assert.equal(
+            decryptPayload(encryptPayload(text, secret), secret).toString(),
+            text
+        );
+
+        const pcm = Buffer.from([0, 1, 2, 3, 254, 255]);
+        assert.deepEqual(
+            decryptPayload(encryptPayload(pcm, secret), secret),
+            pcm
+        );
+    });
+
+    it('uses a fresh IV for every payload', () => {
+        assert.notEqual(
+            encryptPayload('same', secret),
+            encryptPayload('same', secret)
+        );
+    });
+
+    it('defaults to the Client Secret', () => {
+        const payload = encryptPayload('default key');
+        assert.equal(decryptPayload(payload, secret).toString(), 'default key');
+    });
+
+    it('rejects a tampered tag', () => {
+        const payload = encryptPayload('hello', secret);
+        assert.throws(() => decryptPayload(tamper(payload, -1), secret));
+    });
+
+    it('rejects a tampered IV', () => {
+        const payload = encryptPayload('hello', secret);
+        assert.throws(() => decryptPayload(tamper(payload, 0), secret));
+    });
+
+    it('rejects a payload encrypted with another secret', () => {
+        const payload = encryptPayload('hello', 'another-secret');
+        assert.throws(() => decryptPayload(payload, secret));
+    });
+
+    it('rejects a payload too short for an IV and tag', () => {
+        const short = Buffer.alloc(27).toString('base64');
+        assert.throws(() => decryptPayload(short, secret), /too short/);
+    });
+
+    it('rejects a payload that is not a string', () => {
+        assert.throws(() => decryptPayload(undefined, secret), /valid string/);
+        assert.throws(() => decryptPayload(Buffer.alloc(40), secret));
+    });
+});
+
+describe('RtmsSession with encrypted media', () => {
+    let server;
+    let session;
+
+    before(async () => {
+        server = new MockRtmsServer({
+            clientId: process.env.ZM_CLIENT_ID,
+            clientSecret: secret,
+            stepDelay: 10,
+            script: [
+                {
+                    type: 'transcript',
+                    userId: 16778240,
+                    userName: 'Alice',
+                    text: 'Encrypted hello',
+                },
+                { type: 'audio', userId: 16778240, duration: 20 },
+            ],
+        });
+        session = await connect(server);
+    });
+
+    after(async () => {
+        await session.stop('test done');
+        await server.stop();
+    });
+
+    it('negotiates encryption and emits decrypted transcripts and audio', async () => {
+        const transcript = once(session, 'transcript');
+        const audio = once(session, 'audio');
+
+        await session.start();
+        assert.equal(server.encrypted, true);
+
+        const [utterance] = await transcript;
+        assert.equal(utterance.transcript, 'Encrypted hello');
+        assert.equal(utterance.speaker, 'Alice');
+
+        const [frame] = await audio;
+        assert.ok(Buffer.isBuffer(frame.data));
+        // 20ms of 16kHz mono L16
+        assert.equal(frame.data.length, 640);
+        assert.deepEqual(frame.data, Buffer.alloc(640));
+    });
+});
+
+describe('RtmsSession with a server refusing encryption', () => {
+    let server;
+    let session;
+
+    before(async () => {
+        // answers the data handshake with payload_encrypted: false
+        class PlainRtmsServer extends MockRtmsServer {
+            handleMedia(ws, msg) {
+                super.handleMedia(ws, { ...msg, payload_encryption: false });
+            }
+        }
+
+        server = new PlainRtmsServer({
+            clientId: process.env.ZM_CLIENT_ID,
+            clientSecret: secret,
+            script: [],
+        });
+        session = await connect(server);
+    });
+
+    after(async () => {
+        await session.stop('test done');
+        await server.stop();
+    });
+
+    it('fails the session without reconnecting', async () => {
+        const error = once(session, 'error');
+        // once() rejects on the error event, so listen for closed directly
+        const closed = new Promise((resolve) =>
+            session.once('closed', resolve)
+        );
+
+        // rejects once the session fails
+        await assert.rejects(session.start(), /failed before streaming/);
+
+        const [err] = await error;
+        assert.match(err.message, /refused payload encryption/);
+
+        const { state, reason } = await closed;
+        assert.equal(state, 'failed');
+        assert.equal(reason, 'payload encryption refused');
+        assert.equal(session.state, 'failed');
+        assert.equal(session.attempts.media, 0);
+
+        const handshakes = server.received.filter(
+            ({ socket, msg }) => socket === 'media' && msg.msg_type === 3
+        );
+        assert.equal(handshakes.length, 1);
+        assert.ok(
+            !server.received.some(
+                ({ socket, msg }) =>
+                    socket === 'signaling' && msg.msg_type === 7
+            ),
+            'CLIENT_READY_ACK must not be sent'
+        );
+    });
+});
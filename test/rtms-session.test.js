@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+
+// config.js reads the environment on import, so set it up first
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    ZM_CLIENT_ID: 'test-client-id',
+    ZM_CLIENT_SECRET: 'test-client-secret',
+    ZM_REDIRECT_URL: 'http://localhost/auth',
+    SESSION_SECRET: 'test-session-secret',
+    RTMS_RECONNECT_MAX_ATTEMPTS: '2',
+    RTMS_RECONNECT_BASE_DELAY_MS: '10',
+    RTMS_RECONNECT_MAX_DELAY_MS: '20',
+});
+
+const { MockRtmsServer } = await import('../server/mock/rtms-server.js');
+const { RtmsSession } = await import('../server/services/rtms.js');
+
+// keep the RTMS console logging out of the test report
+mock.method(console, 'log', () => {});
+
+/**
+ * Mock server that answers one handshake type with an error status but,
+ * unlike a signature failure, leaves the socket open
+ */
+class FailingRtmsServer extends MockRtmsServer {
+    constructor({ failType, ...options }) {
+        super(options);
+        this.failType = failType;
+    }
+
+    checkHandshake(ws, msg, respType) {
+        if (respType !== this.failType) {
+            return super.checkHandshake(ws, msg, respType);
+        }
+
+        this.emit('handshake', { msg, valid: false });
+        ws.send(
+            JSON.stringify({
+                msg_type: respType,
+                protocol_version: 1,
+                status_code: 5,
+            })
+        );
+        return false;
+    }
+}
+
+let server;
+let session;
+
+/**
+ * Start a session against the server and collect its errors and end state
+ */
+async function run(rtmsServer) {
+    server = rtmsServer;
+    const { signalingUrl } = await server.start();
+    session = new RtmsSession({
+        meetingUuid: server.meetingUuid,
+        streamId: server.streamId,
+        serverUrls: signalingUrl,
+    });
+
+    const errors = [];
+    session.on('error', (err) => errors.push(err.message));
+    const closed = new Promise((resolve) => session.once('closed', resolve));
+
+    const started = session.start();
+    return { errors, closed, started };
+}
+
+const options = {
+    clientId: process.env.ZM_CLIENT_ID,
+    clientSecret: process.env.ZM_CLIENT_SECRET,
+    script: [],
+};
+
+afterEach(async () => {
+    await session?.stop('test done');
+    await server?.stop();
+});
+
+describe('RtmsSession handshake failures', () => {
+    it('retries a failed signaling handshake, then fails', async () => {
+        const { errors, closed, started } = await run(
+            new FailingRtmsServer({ ...options, failType: 2 })
+        );
+
+        await assert.rejects(started, /failed before streaming/);
+        const { state, socket, attempts } = await closed;
+
+        assert.equal(state, 'failed');
+        assert.equal(socket, 'signaling');
+        assert.equal(attempts, 2);
+        assert.equal(
+            errors.filter((e) => /signaling handshake failed/.test(e)).length,
+            3
+        );
+    });
+
+    it('retries a failed media handshake, then fails', async () => {
+        const { errors, closed, started } = await run(
+            new FailingRtmsServer({ ...options, failType: 4 })
+        );
+
+        await assert.rejects(started, /failed before streaming/);
+        const { state, socket } = await closed;
+
+        assert.equal(state, 'failed');
+        assert.equal(socket, 'media');
+        assert.ok(errors.some((e) => /media handshake failed/.test(e)));
+    });
+
+    it('ignores a malformed signaling frame', async () => {
+        const { started } = await run(new MockRtmsServer(options));
+        await started;
+
+        server.sockets.signaling.send('not json');
+        server.runStep({ type: 'stream-state', state: 'terminated' });
+
+        const { state } = await new Promise((resolve) =>
+            session.once('closed', resolve)
+        );
+        assert.equal(state, 'stopped');
+    });
+});
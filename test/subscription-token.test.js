@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { describe, it } from 'node:test';
+
+// config.js reads the environment on import, so set it up first
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    ZM_CLIENT_ID: 'test-client-id',
+    ZM_CLIENT_SECRET: 'test-client-secret',
+    ZM_REDIRECT_URL: 'http://localhost/auth',
+    SESSION_SECRET: 'test-session-secret',
+    SUBSCRIPTION_TOKEN_SECRET: 'test-token-secret',
+    ADMIN_TOKEN: 'test-admin-token',
+});
+
+const { createSubscriptionToken, verifySubscriptionToken, authorizeRequest } =
+    await import('../server/helpers/subscription-token.js');
+
+const meetingUuid = 'meeting-a';
+
+/**
+ * Sign a token payload with the test secret, like createSubscriptionToken
+ */
+function signClaims(claims) {
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto
+        .createHmac('sha256', process.env.SUBSCRIPTION_TOKEN_SECRET)
+        .update(payload)
+        .digest('base64url');
+    return `${payload}.${signature}`;
+}
+
+/**
+ * A request carrying a bearer token
+ */
+function requestWith(token) {
+    return {
+        url: `/api/meetings/${meetingUuid}/stream`,
+        headers: token ? { authorization: `Bearer ${token}` } : {},
+    };
+}
+
+describe('verifySubscriptionToken', () => {
+    it('returns the claims of a valid token', () => {
+        const { token, expiresAt } = createSubscriptionToken({
+            meetingUuid,
+            userId: 'user-1',
+        });
+        const claims = verifySubscriptionToken(token);
+
+        assert.equal(claims.meetingUuid, meetingUuid);
+        assert.equal(claims.userId, 'user-1');
+        assert.equal(claims.expiresAt, expiresAt);
+        assert.ok(claims.issuedAt <= Date.now());
+    });
+
+    it('rejects a tampered token', () => {
+        const { token } = createSubscriptionToken({ meetingUuid });
+        const [, signature] = token.split('.');
+        const payload = Buffer.from(
+            JSON.stringify({
+                mid: 'meeting-b',
+                uid: null,
+                iat: Date.now(),
+                exp: Date.now() + 60 * 1000,
+            })
+        ).toString('base64url');
+
+        assert.equal(verifySubscriptionToken(`${payload}.${signature}`), null);
+        assert.equal(verifySubscriptionToken(`${token}x`), null);
+    });
+
+    it('rejects an expired token', () => {
+        const { token } = createSubscriptionToken({
+            meetingUuid,
+            // past the maximum lifetime, so it expired long ago
+            issuedAt: Date.now() - 9 * 60 * 60 * 1000,
+        });
+        assert.equal(verifySubscriptionToken(token), null);
+    });
+
+    it('rejects a token without an issue time', () => {
+        const token = signClaims({
+            mid: meetingUuid,
+            uid: null,
+            exp: Date.now() + 60 * 1000,
+        });
+        assert.equal(verifySubscriptionToken(token), null);
+    });
+});
+
+describe('authorizeRequest', () => {
+    it("accepts the meeting's own token", () => {
+        const { token } = createSubscriptionToken({ meetingUuid });
+        assert.doesNotThrow(() =>
+            authorizeRequest(requestWith(token), meetingUuid)
+        );
+    });
+
+    it('rejects a token for another meeting with a 401', () => {
+        const { token } = createSubscriptionToken({ meetingUuid: 'meeting-b' });
+        assert.throws(() => authorizeRequest(requestWith(token), meetingUuid), {
+            code: 401,
+        });
+    });
+
+    it('rejects a request without a token', () => {
+        assert.throws(() => authorizeRequest(requestWith(), meetingUuid), {
+            code: 401,
+        });
+    });
+
+    it('lets the admin token read any meeting', () => {
+        const admin = requestWith(process.env.ADMIN_TOKEN);
+        assert.doesNotThrow(() => authorizeRequest(admin, meetingUuid));
+        assert.doesNotThrow(() => authorizeRequest(admin, 'meeting-b'));
+    });
+
+    it('takes the token from the query string', () => {
+        const { token } = createSubscriptionToken({ meetingUuid });
+        const req = {
+            url: `/api/meetings/${meetingUuid}/stream?token=${token}`,
+            headers: {},
+        };
+        assert.doesNotThrow(() => authorizeRequest(req, meetingUuid));
+    });
+});
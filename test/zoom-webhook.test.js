@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+
+// config.js reads the environment on import, so set it up first
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    ZM_CLIENT_ID: 'test-client-id',
+    ZM_CLIENT_SECRET: 'test-client-secret',
+    ZM_REDIRECT_URL: 'http://localhost/auth',
+    SESSION_SECRET: 'test-session-secret',
+    ZOOM_SECRET_TOKEN: 'test-webhook-secret',
+});
+
+const { signWebhook, verifyWebhook, signatureHeader, timestampHeader } =
+    await import('../server/helpers/zoom-webhook.js');
+
+// keep the rejection logging out of the test report
+mock.method(console, 'log', () => {});
+
+const body = JSON.stringify({ event: 'meeting.rtms_started', payload: {} });
+
+/**
+ * Run verifyWebhook on a request with the given headers and report whether
+ * it was passed on or rejected
+ */
+function verify(headers, rawBody = body) {
+    const req = {
+        ip: '127.0.0.1',
+        rawBody,
+        header: (name) => headers[name],
+    };
+    const res = {
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(json) {
+            this.body = json;
+            return this;
+        },
+    };
+
+    let passed = false;
+    verifyWebhook(req, res, () => (passed = true));
+    return { passed, status: res.statusCode };
+}
+
+/**
+ * Headers of a webhook signed with the given secret at a given time
+ */
+function signed({ at = Date.now(), secret } = {}) {
+    const timestamp = String(Math.floor(at / 1000));
+    return {
+        [timestampHeader]: timestamp,
+        [signatureHeader]: signWebhook(body, timestamp, secret),
+    };
+}
+
+describe('verifyWebhook', () => {
+    it('passes a correctly signed, recent webhook on', () => {
+        assert.deepEqual(verify(signed()), { passed: true, status: undefined });
+    });
+
+    it('rejects a webhook signed with another secret', () => {
+        assert.deepEqual(verify(signed({ secret: 'another-secret' })), {
+            passed: false,
+            status: 401,
+        });
+    });
+
+    it('rejects a webhook whose body was changed', () => {
+        const { passed, status } = verify(signed(), `${body} `);
+        assert.equal(passed, false);
+        assert.equal(status, 401);
+    });
+
+    it('rejects a timestamp outside the 300s window', () => {
+        const stale = verify(signed({ at: Date.now() - 301 * 1000 }));
+        assert.deepEqual(stale, { passed: false, status: 401 });
+
+        const future = verify(signed({ at: Date.now() + 301 * 1000 }));
+        assert.deepEqual(future, { passed: false, status: 401 });
+    });
+
+    it('rejects a webhook missing its signature or timestamp', () => {
+        const headers = signed();
+
+        assert.equal(
+            verify({ [timestampHeader]: headers[timestampHeader] }).status,
+            401
+        );
+        assert.equal(
+            verify({ [signatureHeader]: headers[signatureHeader] }).status,
+            401
+        );
+    });
+});
@@ -131,7 +131,10 @@ start(app, port)
         
         // Connect the broadcast function from server to RTMS routes
         if (server.broadcastTranscript) {
-            setBroadcastFunction(server.broadcastTranscript);
+            setBroadcastFunction(
+                server.broadcastTranscript,
+                server.broadcastTaskSuggestion
+            );
             console.log('📡 RTMS routes connected to global broadcast function');
         } else {
             console.warn('⚠️ No broadcast function found on server');
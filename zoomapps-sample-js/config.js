@@ -48,6 +48,71 @@ export const redirectUri = zoomApp.redirectUrl;
 // HTTP
 export const port = config.PORT || '3000';
 
+// Transcripts kept per meeting for clients resuming with sinceSeq
+export const transcriptBufferSize = Number(
+    config.TRANSCRIPT_BUFFER_SIZE || 200
+);
+
+// Signed tokens that let a Zoom App client subscribe to its meeting's live
+// transcript; set SUBSCRIPTION_TOKENS_REQUIRED=false to test without Zoom
+export const subscriptionTokens = {
+    secret: config.SUBSCRIPTION_TOKEN_SECRET || zoomApp.sessionSecret,
+    ttlSeconds: Number(config.SUBSCRIPTION_TOKEN_TTL_SECONDS || 900),
+    // renewals stop this long after the first token was issued
+    maxLifetimeSeconds: Number(
+        config.SUBSCRIPTION_TOKEN_MAX_LIFETIME_SECONDS || 8 * 60 * 60
+    ),
+    required: config.SUBSCRIPTION_TOKENS_REQUIRED !== 'false',
+};
+
+// LLM used by the transcript analyzer: openai (or any OpenAI-compatible
+// endpoint with LLM_BASE_URL), anthropic, or mock for offline runs
+const llmProvider =
+    config.LLM_PROVIDER || (config.OPENAI_API_KEY ? 'openai' : null);
+
+export const llm = {
+    provider: llmProvider,
+    apiKey:
+        config.LLM_API_KEY ||
+        (llmProvider === 'anthropic'
+            ? config.ANTHROPIC_API_KEY
+            : config.OPENAI_API_KEY),
+    baseUrl: config.LLM_BASE_URL,
+    model: config.LLM_MODEL,
+    temperature: Number(config.LLM_TEMPERATURE || 0.3),
+    maxTokens: Number(config.LLM_MAX_TOKENS || 300),
+    timeoutMs: Number(config.LLM_TIMEOUT_MS || 30000),
+    // requests per analysis when replies fail schema validation
+    maxAttempts: Number(config.LLM_MAX_ATTEMPTS || 2),
+    // fixed reply for the mock provider instead of its keyword rules
+    mockResponse: config.LLM_MOCK_RESPONSE,
+};
+
+// Task and suggestion storage: memory, file (JSON) or sqlite; tasks are kept
+// after their meeting ends
+export const storage = {
+    driver: config.STORAGE_DRIVER || 'file',
+    dir: config.STORAGE_DIR || 'data',
+};
+
+// How the analyzer detects tasks: llm, rules (offline phrase rules only), or
+// prefilter (rules decide which batches are worth an LLM call); rules
+// whenever no LLM provider is configured
+export const taskDetection = {
+    mode: config.TASK_DETECTION_MODE || (llmProvider ? 'llm' : 'rules'),
+    prefilterThreshold: Number(config.TASK_PREFILTER_THRESHOLD || 0.4),
+};
+
+// When the transcript analyzer runs for a meeting: after batchSize new
+// utterances, after silenceMs without one, or at the latest windowMs after the
+// first utterance not yet analyzed; maxConcurrent caps LLM calls across meetings
+export const transcriptAnalysis = {
+    batchSize: Number(config.ANALYSIS_BATCH_SIZE || 8),
+    silenceMs: Number(config.ANALYSIS_SILENCE_MS || 4000),
+    windowMs: Number(config.ANALYSIS_WINDOW_MS || 20000),
+    maxConcurrent: Number(config.ANALYSIS_MAX_CONCURRENT || 2),
+};
+
 // require secrets are explicitly imported
 export default {
     appName,
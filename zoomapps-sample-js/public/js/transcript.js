@@ -5,7 +5,15 @@ class TranscriptManager {
         this.socket = null;
         this.transcripts = [];
         this.maxTranscripts = 50; // Keep last 50 transcripts
+        this.maxSeenSeqs = 1000; // Seqs remembered per meeting for duplicate checks
         this.isConnected = false;
+        this.lastSeq = new Map(); // Last transcript seq seen per meeting, to resume after a reconnect
+        this.seenSeqs = new Map(); // Recent transcript seqs received per meeting, to skip replayed duplicates
+
+        // Token the server signed for this meeting (only present inside Zoom)
+        const { dataset } = document.getElementById('transcript-container') || {};
+        this.subscriptionToken = dataset?.subscriptionToken;
+        this.scheduleTokenRefresh(Number(dataset?.subscriptionExpiresAt));
 
         this.initializeElements();
         this.initializeWebSocket();
@@ -31,12 +39,20 @@ class TranscriptManager {
         const wsUrl = `${protocol}//${window.location.host}/transcript-ws`;
         
         console.log('🔗 Connecting to WebSocket:', wsUrl);
-        this.socket = new WebSocket(wsUrl);
+        this.socket = new WebSocket(
+            this.subscriptionToken ? `${wsUrl}?token=${encodeURIComponent(this.subscriptionToken)}` : wsUrl
+        );
 
         this.socket.onopen = () => {
             console.log('✅ Connected to transcript WebSocket server');
             this.isConnected = true;
             this.updateStatus('Connected - Ready to receive transcripts from any meeting', 'connected');
+
+            // Catch up on what was said in each meeting while we were disconnected
+            this.lastSeq.forEach((sinceSeq, meetingUuid) => {
+                console.log('⏪ Resuming meeting:', { meetingUuid, sinceSeq });
+                this.socket.send(JSON.stringify({ type: 'join-meeting', meetingUuid, sinceSeq }));
+            });
         };
 
         this.socket.onclose = () => {
@@ -59,12 +75,16 @@ class TranscriptManager {
                 console.log('📨 WebSocket message received:', message);
                 
                 if (message.type === 'transcript') {
+                    if (!this.trackSeq(message.data)) {
+                        console.log('⏭️ Skipping transcript already received:', message.data.seq);
+                        return;
+                    }
+
                     console.log('🎯 CLIENT RECEIVED TRANSCRIPT:', {
                         speaker: message.data.speaker_name || message.data.speaker || 'Unknown',
                         text: message.data.transcript || message.data.text,
                         meetingUuid: message.data.meetingUuid,
                         timestamp: message.data.timestamp,
-                        taskSuggestion: message.data.taskSuggestion,
                         rawData: message.data,
                     });
                     
@@ -74,12 +94,17 @@ class TranscriptManager {
                     if (message.data.meetingUuid) {
                         this.updateMeetingUuid(message.data.meetingUuid);
                     }
-                    
-                    // Handle task suggestion if present
-                    if (message.data.taskSuggestion) {
-                        console.log('🤖 TASK SUGGESTION RECEIVED:', message.data.taskSuggestion);
-                        this.showTaskSuggestion(message.data.taskSuggestion);
-                    }
+                } else if (message.type === 'task-suggestion') {
+                    // Suggestions arrive separately, after their transcripts were analyzed
+                    console.log('🤖 TASK SUGGESTION RECEIVED:', message.data);
+                    this.showTaskSuggestion(message.data);
+                } else if (message.type === 'token') {
+                    // Keep the renewed token for the next reconnect
+                    this.subscriptionToken = message.token;
+                    this.scheduleTokenRefresh(message.expiresAt);
+                } else if (message.type === 'error') {
+                    console.error('🚫 Transcript subscription error:', message.error);
+                    this.addSystemMessage(`Transcript error: ${message.error}`);
                 } else if (message.type === 'connected') {
                     console.log('✅ WebSocket connection confirmed:', message.message);
                 } else if (message.type === 'meeting_ended') {
@@ -97,6 +122,43 @@ class TranscriptManager {
         };
     }
 
+    // Ask the server for a new subscription token a minute before this one expires
+    scheduleTokenRefresh(expiresAt) {
+        clearTimeout(this.tokenRefreshTimer);
+        if (!expiresAt) return;
+
+        const delay = Math.max(0, expiresAt - Date.now() - 60000);
+        this.tokenRefreshTimer = setTimeout(() => {
+            if (this.isConnected) {
+                this.socket.send(JSON.stringify({ type: 'refresh-token' }));
+            } else {
+                // try again once we have reconnected
+                this.scheduleTokenRefresh(Date.now() + 65000);
+            }
+        }, delay);
+    }
+
+    // Remember a transcript's seq; false if it was already received. Live transcripts can arrive before the
+    // replay of a resumed meeting, so every seq is checked rather than only the latest one
+    trackSeq(transcriptData) {
+        const { meetingUuid, seq } = transcriptData;
+        if (!meetingUuid || !Number.isInteger(seq)) return true;
+
+        if (!this.seenSeqs.has(meetingUuid)) this.seenSeqs.set(meetingUuid, new Set());
+        const seen = this.seenSeqs.get(meetingUuid);
+        if (seen.has(seq)) return false;
+
+        seen.add(seq);
+        const lastSeq = Math.max(seq, this.lastSeq.get(meetingUuid) || 0);
+        this.lastSeq.set(meetingUuid, lastSeq);
+
+        // anything this old is no longer in the server's replay buffer
+        seen.forEach((old) => {
+            if (old <= lastSeq - this.maxSeenSeqs) seen.delete(old);
+        });
+        return true;
+    }
+
     async initializeZoomSDK() {
         try {
             // Wait for Zoom SDK to be available
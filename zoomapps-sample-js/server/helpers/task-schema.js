@@ -0,0 +1,169 @@
+import { checkSchema, validationResult } from 'express-validator';
+
+// Task types the analyzer may suggest and the task creator handles
+export const taskTypes = [
+    'jira',
+    'coding',
+    'meeting',
+    'document',
+    'task',
+    'other',
+];
+
+// express-validator compares strings, so check JSON types ourselves
+const ofType = (type, errorMessage) => ({
+    custom: {
+        options: (value) =>
+            type === 'array' ? Array.isArray(value) : typeof value === type,
+    },
+    errorMessage,
+});
+
+/**
+ * Check a field only when the analysis reports a task; a "no task" reply may
+ * leave the task fields null or empty
+ */
+const whenDetected = (prefix, check, errorMessage) => ({
+    custom: {
+        options: (value, { req }) => {
+            const analysis = prefix
+                .split('.')
+                .filter(Boolean)
+                .reduce((object, key) => object?.[key], req.body);
+            return analysis?.taskDetected !== true || check(value);
+        },
+    },
+    errorMessage,
+});
+
+/**
+ * Schema of a task analysis: the analyzer's reply, and the analysisResult
+ * sent to /api/tasks/create
+ * @param {string} [prefix=''] - path of the analysis in the request body,
+ *  e.g. "analysisResult."
+ * @return {Object} express-validator schema
+ */
+export function taskAnalysisSchema(prefix = '') {
+    return {
+        [`${prefix}taskDetected`]: {
+            in: ['body'],
+            ...ofType('boolean', 'taskDetected must be a boolean'),
+        },
+        [`${prefix}taskType`]: {
+            in: ['body'],
+            ...whenDetected(
+                prefix,
+                (value) => taskTypes.includes(value),
+                `taskType must be one of ${taskTypes.join(', ')}`
+            ),
+        },
+        [`${prefix}taskDescription`]: {
+            in: ['body'],
+            ...whenDetected(
+                prefix,
+                (value) => typeof value === 'string',
+                'taskDescription must be a string'
+            ),
+        },
+        [`${prefix}suggestedAction`]: {
+            in: ['body'],
+            optional: true,
+            ...ofType('string', 'suggestedAction must be a string'),
+        },
+        [`${prefix}requiresBackend`]: {
+            in: ['body'],
+            optional: true,
+            ...ofType('boolean', 'requiresBackend must be a boolean'),
+        },
+        [`${prefix}confidence`]: {
+            in: ['body'],
+            custom: {
+                options: (value) =>
+                    typeof value === 'number' && value >= 0 && value <= 1,
+            },
+            errorMessage: 'confidence must be a number from 0 to 1',
+        },
+        [`${prefix}relevantSpeakers`]: {
+            in: ['body'],
+            optional: { options: { nullable: true } },
+            ...ofType('array', 'relevantSpeakers must be an array'),
+        },
+        [`${prefix}relevantSpeakers.*`]: {
+            in: ['body'],
+            ...ofType('string', 'relevantSpeakers must be strings'),
+        },
+    };
+}
+
+/**
+ * Validate a task analysis against taskAnalysisSchema
+ * @param {*} analysis - parsed analyzer reply
+ * @return {Promise<string[]>} error messages, empty when the analysis is valid
+ */
+export async function validateTaskAnalysis(analysis) {
+    if (!analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+        return ['reply must be a JSON object'];
+    }
+
+    const req = { body: analysis };
+    await Promise.all(checkSchema(taskAnalysisSchema()).map((c) => c.run(req)));
+
+    return validationResult(req)
+        .array({ onlyFirstError: true })
+        .map(({ msg }) => msg);
+}
+
+/**
+ * Fix common slips in an analyzer reply, such as booleans and numbers sent
+ * as strings, a confidence given in percent or null in place of a default,
+ * before validating it again
+ * @param {Object} analysis - parsed analyzer reply
+ * @return {Object} repaired copy
+ */
+export function repairTaskAnalysis(analysis) {
+    const repaired = { ...analysis };
+
+    for (const key of ['taskDetected', 'requiresBackend']) {
+        if (repaired[key] === 'true') repaired[key] = true;
+        if (repaired[key] === 'false') repaired[key] = false;
+    }
+
+    if (typeof repaired.taskType === 'string') {
+        repaired.taskType = repaired.taskType.trim().toLowerCase();
+    }
+    if (!repaired.taskType) repaired.taskType = 'other';
+
+    let confidence = repaired.confidence;
+    if (typeof confidence === 'string') confidence = parseFloat(confidence);
+    if (confidence > 1 && confidence <= 100) confidence /= 100;
+    if (Number.isFinite(confidence)) repaired.confidence = confidence;
+
+    if (typeof repaired.relevantSpeakers === 'string') {
+        repaired.relevantSpeakers = [repaired.relevantSpeakers];
+    }
+    if (repaired.relevantSpeakers === null) repaired.relevantSpeakers = [];
+
+    for (const key of ['taskDescription', 'suggestedAction']) {
+        if (repaired[key] === null) repaired[key] = '';
+    }
+
+    return repaired;
+}
+
+/**
+ * Parse the JSON object in a model reply, which may be wrapped in prose or a
+ * code fence
+ * @param {string} text - model reply
+ * @return {*} parsed value
+ * @throws {SyntaxError} when the reply holds no JSON object
+ */
+export function parseJsonReply(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start === -1 || end <= start) throw e;
+        return JSON.parse(text.slice(start, end + 1));
+    }
+}
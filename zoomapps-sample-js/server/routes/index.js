@@ -1,6 +1,7 @@
 import express from 'express';
 import { handleError, sanitize } from '../helpers/routing.js';
 import { contextHeader, getAppContext } from '../helpers/cipher.js';
+import { createSubscriptionToken } from '../helpers/subscription-token.js';
 import { getInstallURL } from '../helpers/zoom-api.js';
 import session from '../session.js';
 
@@ -34,9 +35,19 @@ router.get('/', async (req, res, next) => {
             return res.status(401).json({ error: 'Invalid or expired context' });
         }
 
+        // only the meeting the app was opened in may be subscribed to
+        const subscription =
+            context.mid &&
+            createSubscriptionToken({
+                meetingUuid: context.mid,
+                userId: context.uid,
+            });
+
         return res.render('index', {
             isZoom: true,
             title: `Hello Zoom`,
+            subscriptionToken: subscription?.token,
+            subscriptionExpiresAt: subscription?.expiresAt,
         });
     } catch (e) {
         next(handleError(e));
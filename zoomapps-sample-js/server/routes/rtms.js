@@ -8,14 +8,19 @@ import debug from 'debug';
 const router = express.Router();
 const dbg = debug('zoom-app:rtms-routes');
 
-// Global broadcast function reference (will be set by server)
+// Global broadcast function references (will be set by server)
 let globalBroadcastFunction = null;
+let globalSuggestionBroadcastFunction = null;
 
 /**
- * Set global broadcast function from server
+ * Set global broadcast functions from server
+ * @param {Function} broadcastFn - sends a transcript to its meeting's clients
+ * @param {Function} [suggestionBroadcastFn] - sends a task suggestion to its
+ *  meeting's clients
  */
-export function setBroadcastFunction(broadcastFn) {
+export function setBroadcastFunction(broadcastFn, suggestionBroadcastFn) {
     globalBroadcastFunction = broadcastFn;
+    globalSuggestionBroadcastFunction = suggestionBroadcastFn || null;
     console.log('📡 Global broadcast function set for RTMS');
 }
 
@@ -30,6 +35,17 @@ function broadcastTranscript(transcriptData) {
     }
 }
 
+/**
+ * Broadcast a task suggestion to the clients of its meeting
+ */
+function broadcastTaskSuggestion(meetingUuid, taskSuggestion) {
+    if (globalSuggestionBroadcastFunction) {
+        globalSuggestionBroadcastFunction(meetingUuid, taskSuggestion);
+    } else {
+        console.warn('⚠️ No task suggestion broadcast function available');
+    }
+}
+
 /**
  * Webhook endpoint for RTMS events
  */
@@ -90,7 +106,13 @@ router.post('/webhook', (req, res) => {
             meeting_uuid,
             rtms_stream_id,
         });
-        startRTMS(meeting_uuid, rtms_stream_id, server_urls, onTranscript);
+        startRTMS(
+            meeting_uuid,
+            rtms_stream_id,
+            server_urls,
+            onTranscript,
+            broadcastTaskSuggestion
+        );
     }
 
     // Handle RTMS stopped event
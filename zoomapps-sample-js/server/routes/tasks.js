@@ -1,49 +1,62 @@
 import express from 'express';
+import { body, checkSchema, validationResult } from 'express-validator';
 import { 
     taskCreator, 
     getAllMeetingTasks, 
     getAllPendingTaskSuggestions, 
     approveTaskSuggestion, 
     rejectTaskSuggestion,
-    getMeetingTaskStats 
+    getMeetingTaskStats,
+    getAnalyzerErrors
 } from '../services/gpt4-analyzer.js';
+import { taskAnalysisSchema } from '../helpers/task-schema.js';
+import { getLlmProvider } from '../services/llm-providers.js';
+import { getAnalysisStats } from '../services/analysis-scheduler.js';
+import { taskDetection } from '../../config.js';
 import debug from 'debug';
 
 const dbg = debug('zoom-app:tasks');
 const router = express.Router();
 
 /**
- * Create a task based on GPT-4 analysis
+ * Create a task based on LLM analysis
  */
-router.post('/create', async (req, res) => {
-    try {
-        const { analysisResult, userConfirmation = true } = req.body;
+router.post(
+    '/create',
+    body('analysisResult', 'Analysis result is required').isObject(),
+    checkSchema(taskAnalysisSchema('analysisResult.')),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req).array({ onlyFirstError: true });
+            if (errors.length) {
+                return res.status(400).json({
+                    success: false,
+                    error: errors[0].msg,
+                    errors: errors.map(({ param, msg }) => ({ param, msg }))
+                });
+            }
 
-        if (!analysisResult) {
-            return res.status(400).json({
-                success: false,
-                error: 'Analysis result is required'
-            });
-        }
+            const { analysisResult, userConfirmation = true } = req.body;
 
-        console.log('📝 TASK CREATION REQUEST:', {
-            taskType: analysisResult.taskType,
-            description: analysisResult.taskDescription,
-            userConfirmation
-        });
+            console.log('📝 TASK CREATION REQUEST:', {
+                taskType: analysisResult.taskType,
+                description: analysisResult.taskDescription,
+                userConfirmation
+            });
 
-        const result = await taskCreator.createTask(analysisResult, userConfirmation);
+            const result = await taskCreator.createTask(analysisResult, userConfirmation);
 
-        res.json(result);
+            res.json(result);
 
-    } catch (error) {
-        console.error('❌ TASK CREATION API ERROR:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        } catch (error) {
+            console.error('❌ TASK CREATION API ERROR:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
     }
-});
+);
 
 /**
  * Get supported task types
@@ -64,10 +77,10 @@ router.get('/types', (req, res) => {
 /**
  * Get completed tasks for a meeting
  */
-router.get('/completed/:meetingUuid', (req, res) => {
+router.get('/completed/:meetingUuid', async (req, res) => {
     try {
         const { meetingUuid } = req.params;
-        const tasks = getAllMeetingTasks(meetingUuid);
+        const tasks = await getAllMeetingTasks(meetingUuid);
         
         console.log('📋 FETCHING COMPLETED TASKS:', {
             meetingUuid,
@@ -87,10 +100,10 @@ router.get('/completed/:meetingUuid', (req, res) => {
 /**
  * Get pending task suggestions for a meeting
  */
-router.get('/pending/:meetingUuid', (req, res) => {
+router.get('/pending/:meetingUuid', async (req, res) => {
     try {
         const { meetingUuid } = req.params;
-        const pendingTasks = getAllPendingTaskSuggestions(meetingUuid);
+        const pendingTasks = await getAllPendingTaskSuggestions(meetingUuid);
         
         console.log('⏳ FETCHING PENDING TASKS:', {
             meetingUuid,
@@ -151,7 +164,7 @@ router.post('/reject', async (req, res) => {
         
         console.log('❌ REJECTING TASK SUGGESTION:', suggestionId);
         
-        const result = rejectTaskSuggestion(suggestionId);
+        const result = await rejectTaskSuggestion(suggestionId);
         res.json(result);
         
     } catch (error) {
@@ -166,10 +179,10 @@ router.post('/reject', async (req, res) => {
 /**
  * Get task statistics for a meeting
  */
-router.get('/stats/:meetingUuid', (req, res) => {
+router.get('/stats/:meetingUuid', async (req, res) => {
     try {
         const { meetingUuid } = req.params;
-        const stats = getMeetingTaskStats(meetingUuid);
+        const stats = await getMeetingTaskStats(meetingUuid);
         
         console.log('📊 FETCHING TASK STATS:', {
             meetingUuid,
@@ -186,14 +199,27 @@ router.get('/stats/:meetingUuid', (req, res) => {
     }
 });
 
+/**
+ * Get recent analyzer errors, such as LLM replies that failed validation
+ */
+router.get('/analyzer-errors', (req, res) => {
+    const errors = getAnalyzerErrors(req.query.meetingUuid || null);
+    res.json({ count: errors.length, errors });
+});
+
 /**
  * Health check for task service
  */
 router.get('/health', (req, res) => {
+    const provider = getLlmProvider();
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        openaiConfigured: !!process.env.OPENAI_API_KEY
+        openaiConfigured: provider?.name === 'openai',
+        llmProvider: provider ? { name: provider.name, model: provider.model } : null,
+        taskDetection: provider ? taskDetection.mode : 'rules',
+        analysis: getAnalysisStats(),
+        analyzerErrors: getAnalyzerErrors().length
     });
 });
 
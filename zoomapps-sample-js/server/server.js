@@ -1,7 +1,17 @@
 import http from 'http';
 import debug from 'debug';
 import { WebSocketServer } from 'ws';
-import { appName } from '../config.js';
+import {
+    appName,
+    subscriptionTokens,
+    transcriptBufferSize,
+} from '../config.js';
+import {
+    canSubscribe,
+    refreshSubscriptionToken,
+    tokenFromRequest,
+    verifySubscriptionToken,
+} from './helpers/subscription-token.js';
 // No imports needed from rtms.js - using broadcast approach
 
 const dbg = debug(`${appName}:http`);
@@ -15,46 +25,138 @@ export async function start(app, port) {
     // Create HTTP server
     const server = http.createServer(app);
 
-    // Initialize WebSocket Server
-    const wss = new WebSocketServer({ server, path: '/transcript-ws' });
+    // Initialize WebSocket Server; clients need a subscription token
+    const wss = new WebSocketServer({
+        server,
+        path: '/transcript-ws',
+        verifyClient: ({ req }, done) => {
+            req.subscriber = verifySubscriptionToken(tokenFromRequest(req));
+            if (req.subscriber || !subscriptionTokens.required) {
+                return done(true);
+            }
+
+            console.log('🚫 REJECTED WEBSOCKET CLIENT: invalid or missing token');
+            done(false, 401, 'Unauthorized');
+        },
+    });
+
+    // Map of connected client -> claims of its subscription token, which
+    // decide the meetings it receives
+    const connectedClients = new Map();
+
+    // Recent transcripts of each meeting, numbered with a per-meeting seq,
+    // for clients that reconnect and resume with sinceSeq
+    const meetingHistory = new Map();
 
-    // Store all connected clients (no meeting UUID required)
-    const connectedClients = new Set();
+    /**
+     * Number a meeting's transcript and keep it in the meeting's buffer
+     */
+    const recordTranscript = (transcriptData) => {
+        const { meetingUuid } = transcriptData;
+        if (!meetingUuid) return transcriptData;
+
+        if (!meetingHistory.has(meetingUuid)) {
+            meetingHistory.set(meetingUuid, { lastSeq: 0, transcripts: [] });
+        }
+        const history = meetingHistory.get(meetingUuid);
+
+        // keep counting after the stream ends in case it restarts
+        if (transcriptData.type === 'meeting_ended') {
+            history.transcripts = [];
+            return transcriptData;
+        }
+
+        const numbered = { ...transcriptData, seq: ++history.lastSeq };
+        history.transcripts.push(numbered);
+        if (history.transcripts.length > transcriptBufferSize) {
+            history.transcripts.shift();
+        }
+
+        return numbered;
+    };
+
+    /**
+     * Send a message to every connected client whose token was for the
+     * meeting; the token only has to be valid when the client connects or joins
+     */
+    const sendToMeeting = (meetingUuid, message) => {
+        const json = JSON.stringify(message);
+        connectedClients.forEach((subscriber, client) => {
+            if (
+                client.readyState === client.OPEN &&
+                (!subscriptionTokens.required ||
+                    subscriber?.meetingUuid === meetingUuid)
+            ) {
+                client.send(json);
+            }
+        });
+    };
 
     // Global transcript broadcast function
     const broadcastTranscript = (transcriptData) => {
+        const data = recordTranscript(transcriptData);
+
         console.log('🚀 BROADCASTING TRANSCRIPT TO ALL CLIENTS:', {
             connectedClients: connectedClients.size,
-            transcriptData,
+            transcriptData: data,
         });
 
-        // Send to all connected clients
-        connectedClients.forEach((client) => {
-            if (client.readyState === client.OPEN) {
-                client.send(
-                    JSON.stringify({
-                        type: 'transcript',
-                        data: transcriptData,
-                    })
-                );
-            }
+        sendToMeeting(data.meetingUuid, { type: 'transcript', data });
+    };
+
+    // Task suggestions are not kept for replay: they are only useful live
+    const broadcastTaskSuggestion = (meetingUuid, taskSuggestion) => {
+        console.log('🚀 BROADCASTING TASK SUGGESTION:', {
+            meetingUuid,
+            suggestionId: taskSuggestion.suggestionId,
+        });
+
+        sendToMeeting(meetingUuid, {
+            type: 'task-suggestion',
+            meetingUuid,
+            data: taskSuggestion,
+        });
+    };
+
+    /**
+     * Send a client the buffered transcripts of a meeting after sinceSeq
+     */
+    const replayTranscripts = (ws, meetingUuid, sinceSeq) => {
+        const history = meetingHistory.get(meetingUuid);
+        const missed = (history?.transcripts || []).filter(
+            (transcript) => transcript.seq > sinceSeq
+        );
+
+        console.log('⏪ REPLAYING TRANSCRIPTS:', {
+            meetingUuid,
+            sinceSeq,
+            transcripts: missed.length,
+        });
+
+        missed.forEach((data) => {
+            ws.send(JSON.stringify({ type: 'transcript', data, replay: true }));
         });
     };
 
     // Handle WebSocket connections
     wss.on('connection', (ws, req) => {
-        console.log('🔗 WEBSOCKET CLIENT CONNECTED:', req.url);
-        dbg(`WebSocket client connected from: ${req.url}`);
+        // the query string may hold a token, keep it out of logs
+        const url = req.url.split('?')[0];
+        console.log('🔗 WEBSOCKET CLIENT CONNECTED:', url);
+        dbg(`WebSocket client connected from: ${url}`);
 
-        // Add client to global set
-        connectedClients.add(ws);
+        // Add client to global map
+        connectedClients.set(ws, req.subscriber);
         console.log('📊 TOTAL CONNECTED CLIENTS:', connectedClients.size);
 
         // Send welcome message
         ws.send(
             JSON.stringify({
                 type: 'connected',
-                message: 'Ready to receive transcripts from any meeting',
+                message: req.subscriber
+                    ? 'Ready to receive transcripts from this meeting'
+                    : 'Ready to receive transcripts from any meeting',
+                meetingUuid: req.subscriber?.meetingUuid,
                 timestamp: new Date().toISOString(),
             })
         );
@@ -68,6 +170,67 @@ export async function start(app, port) {
                 if (data.type === 'ping') {
                     ws.send(JSON.stringify({ type: 'pong' }));
                 }
+
+                // Resume a meeting after a reconnect; live transcripts of
+                // every meeting the client may read keep arriving
+                if (data.type === 'join-meeting' && data.meetingUuid) {
+                    if (!canSubscribe(connectedClients.get(ws), data.meetingUuid)) {
+                        console.log('🚫 REJECTED MEETING SUBSCRIPTION:', {
+                            meetingUuid: data.meetingUuid,
+                        });
+                        ws.send(
+                            JSON.stringify({
+                                type: 'error',
+                                meetingUuid: data.meetingUuid,
+                                error: 'not authorized to subscribe to this meeting',
+                            })
+                        );
+                        return;
+                    }
+
+                    const sinceSeq = Number(data.sinceSeq) || 0;
+                    ws.send(
+                        JSON.stringify({
+                            type: 'joined',
+                            meetingUuid: data.meetingUuid,
+                            sinceSeq,
+                        })
+                    );
+                    replayTranscripts(ws, data.meetingUuid, sinceSeq);
+                }
+
+                // Renew the subscription token before it expires, so the
+                // client can still reconnect with it
+                if (data.type === 'refresh-token') {
+                    const subscriber = connectedClients.get(ws);
+                    if (
+                        !subscriber?.meetingUuid ||
+                        !canSubscribe(subscriber, subscriber.meetingUuid)
+                    ) {
+                        ws.send(
+                            JSON.stringify({
+                                type: 'error',
+                                error: 'no valid subscription token to refresh',
+                            })
+                        );
+                        return;
+                    }
+
+                    const renewed = refreshSubscriptionToken(subscriber);
+                    if (!renewed) {
+                        ws.send(
+                            JSON.stringify({
+                                type: 'error',
+                                error: 'subscription token reached its maximum lifetime',
+                            })
+                        );
+                        return;
+                    }
+
+                    const { token, expiresAt } = renewed;
+                    connectedClients.set(ws, { ...subscriber, expiresAt });
+                    ws.send(JSON.stringify({ type: 'token', token, expiresAt }));
+                }
             } catch (error) {
                 console.error('❌ Error processing WebSocket message:', error);
             }
@@ -77,7 +240,7 @@ export async function start(app, port) {
             console.log('🔌 WEBSOCKET CLIENT DISCONNECTED');
             dbg('WebSocket client disconnected');
 
-            // Remove client from global set
+            // Remove client from global map
             connectedClients.delete(ws);
             console.log('📊 REMAINING CONNECTED CLIENTS:', connectedClients.size);
         });
@@ -96,8 +259,9 @@ export async function start(app, port) {
         console.log('🔌 WebSocket server integrated for transcript streaming');
         console.log('📡 Broadcasting mode: All transcripts will be sent to all connected clients');
 
-        // Export broadcast function for use by RTMS routes
+        // Export broadcast functions for use by RTMS routes
         server.broadcastTranscript = broadcastTranscript;
+        server.broadcastTaskSuggestion = broadcastTaskSuggestion;
     });
 
     server.on('error', async (error) => {
@@ -116,8 +280,9 @@ export async function start(app, port) {
         }
     });
 
-    // Export broadcast function for use by RTMS routes
+    // Export broadcast functions for use by RTMS routes
     server.broadcastTranscript = broadcastTranscript;
+    server.broadcastTaskSuggestion = broadcastTaskSuggestion;
 
     // Listen on provided port, on all network interfaces
     return server.listen(port);
@@ -0,0 +1,176 @@
+import debug from 'debug';
+import { transcriptAnalysis } from '../../config.js';
+import { transcriptAnalyzer } from './gpt4-analyzer.js';
+
+const dbg = debug('zoom-app:analysis-scheduler');
+
+// Map of meeting UUID -> analysis state of that meeting
+const meetings = new Map();
+
+// Meetings due for analysis that wait for a free slot, oldest first
+const waiting = new Set();
+
+// Number of analyses in flight across all meetings
+let running = 0;
+
+/**
+ * Get a meeting's analysis state, creating it on first use
+ */
+function stateOf(meetingUuid) {
+    if (!meetings.has(meetingUuid)) {
+        meetings.set(meetingUuid, {
+            pending: 0,
+            analyzing: false,
+            silenceTimer: null,
+            windowTimer: null,
+            onTaskSuggestion: null,
+        });
+    }
+    return meetings.get(meetingUuid);
+}
+
+function clearTimers(state) {
+    clearTimeout(state.silenceTimer);
+    clearTimeout(state.windowTimer);
+    state.silenceTimer = null;
+    state.windowTimer = null;
+}
+
+/**
+ * Queue a meeting for analysis once a trigger fires
+ */
+function markDue(meetingUuid, reason) {
+    const state = meetings.get(meetingUuid);
+    if (!state) return;
+
+    clearTimers(state);
+    if (!waiting.has(meetingUuid)) {
+        dbg(`Analysis of ${meetingUuid} due: ${reason}`);
+        waiting.add(meetingUuid);
+    }
+    drain();
+}
+
+/**
+ * Start waiting analyses while there are free slots; a meeting never has
+ * more than one analysis in flight
+ */
+function drain() {
+    for (const meetingUuid of waiting) {
+        if (running >= transcriptAnalysis.maxConcurrent) return;
+
+        const state = meetings.get(meetingUuid);
+        if (state?.analyzing) continue;
+
+        waiting.delete(meetingUuid);
+        if (state?.pending) analyze(meetingUuid, state);
+    }
+}
+
+/**
+ * Analyze a meeting's recent transcript and hand any task suggestion on
+ */
+async function analyze(meetingUuid, state) {
+    const utterances = state.pending;
+    state.pending = 0;
+    state.analyzing = true;
+    clearTimers(state);
+    running += 1;
+
+    console.log('🧮 RUNNING SCHEDULED ANALYSIS:', {
+        meetingUuid,
+        utterances,
+        running,
+        waiting: waiting.size,
+    });
+
+    try {
+        const taskSuggestion = await transcriptAnalyzer.analyzeContext(
+            meetingUuid
+        );
+
+        // skip suggestions for meetings that ended while we waited
+        if (taskSuggestion && meetings.get(meetingUuid) === state) {
+            console.log('🎯 TASK SUGGESTION DETECTED:', taskSuggestion);
+            state.onTaskSuggestion?.(meetingUuid, taskSuggestion);
+        }
+    } catch (err) {
+        console.error('❌ LLM ANALYSIS ERROR:', err);
+    } finally {
+        state.analyzing = false;
+        running -= 1;
+        drain();
+    }
+}
+
+/**
+ * Start scheduling analysis of a meeting's live transcript
+ * @param {string} meetingUuid - Meeting UUID
+ * @param {Function} onTaskSuggestion - called with (meetingUuid,
+ *  taskSuggestion) for every task the analyzer suggests
+ */
+export function startTranscriptAnalysis(meetingUuid, onTaskSuggestion) {
+    stateOf(meetingUuid).onTaskSuggestion = onTaskSuggestion;
+}
+
+/**
+ * Add an utterance to a meeting's analysis context and schedule an analysis
+ *
+ * The meeting is analyzed after batchSize utterances, after silenceMs
+ * without a new one, or windowMs after the first utterance of the batch,
+ * whichever comes first.
+ * @param {string} meetingUuid - Meeting UUID
+ * @param {Object} transcript - transcript with speaker_name and text
+ */
+export function queueTranscriptAnalysis(meetingUuid, transcript) {
+    transcriptAnalyzer.addTranscriptToContext(meetingUuid, transcript);
+
+    const state = stateOf(meetingUuid);
+    state.pending += 1;
+
+    if (state.pending >= transcriptAnalysis.batchSize) {
+        markDue(meetingUuid, `${state.pending} utterances`);
+        return;
+    }
+
+    // an analysis that is already due covers this utterance too
+    if (waiting.has(meetingUuid)) return;
+
+    clearTimeout(state.silenceTimer);
+    state.silenceTimer = setTimeout(
+        () => markDue(meetingUuid, 'silence'),
+        transcriptAnalysis.silenceMs
+    );
+
+    if (!state.windowTimer) {
+        state.windowTimer = setTimeout(
+            () => markDue(meetingUuid, 'time window'),
+            transcriptAnalysis.windowMs
+        );
+    }
+}
+
+/**
+ * Stop scheduling analysis of a meeting, dropping its transcript context and
+ * utterances not analyzed yet; its tasks and suggestions are kept
+ * @param {string} meetingUuid - Meeting UUID
+ */
+export function stopTranscriptAnalysis(meetingUuid) {
+    transcriptAnalyzer.clearMeetingContext(meetingUuid);
+
+    const state = meetings.get(meetingUuid);
+    if (!state) return;
+
+    clearTimers(state);
+    waiting.delete(meetingUuid);
+    meetings.delete(meetingUuid);
+    dbg(`Stopped analysis of ${meetingUuid}`);
+}
+
+/**
+ * Get the scheduler's load, for the health check
+ * @return {{meetings: number, running: number, waiting: number}}
+ */
+export function getAnalysisStats() {
+    return { meetings: meetings.size, running, waiting: waiting.size };
+}
@@ -1,52 +1,53 @@
-import OpenAI from 'openai';
 import debug from 'debug';
 import fetch from 'node-fetch';
+import { llm, taskDetection } from '../../config.js';
+import { getLlmProvider } from './llm-providers.js';
+import { detectTask } from './rule-detector.js';
+import { getTaskRepository } from '../storage/index.js';
+import {
+    parseJsonReply,
+    repairTaskAnalysis,
+    taskTypes,
+    validateTaskAnalysis,
+} from '../helpers/task-schema.js';
 
 const dbg = debug('zoom-app:gpt4-analyzer');
 
 // Configuration for zoom-code backend
 const ZOOM_CODE_BACKEND_URL = process.env.ZOOM_CODE_BACKEND_URL || 'http://localhost:8000';
 
-// Initialize OpenAI client only if API key is available
-let openai = null;
-
-function initializeOpenAI() {
-    if (!openai && process.env.OPENAI_API_KEY) {
-        openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
-        console.log('✅ OpenAI client initialized successfully');
-    }
-    return openai;
-}
-
-function isOpenAIConfigured() {
-    return !!process.env.OPENAI_API_KEY;
-}
-
-// Store conversation context for each meeting
+// Store conversation context for each meeting; created tasks and task
+// suggestions live in the task repository and outlast the meeting
 const meetingContexts = new Map();
 
-// Store created tasks for each meeting (to avoid duplicates and provide persistence)
-const meetingTasks = new Map();
+// Recent analyzer errors, oldest first, such as replies that failed validation
+const analyzerErrors = [];
+const maxAnalyzerErrors = 100;
 
-// Store pending task suggestions (waiting for user approval)
-const pendingTaskSuggestions = new Map();
+/**
+ * Record an analyzer error for /api/tasks/analyzer-errors
+ */
+function recordAnalyzerError(meetingUuid, error) {
+    analyzerErrors.push({
+        meetingUuid,
+        timestamp: new Date().toISOString(),
+        ...error
+    });
+    if (analyzerErrors.length > maxAnalyzerErrors) analyzerErrors.shift();
+}
 
 /**
  * Helper functions for task management
  */
-function addTaskToMeeting(meetingUuid, task) {
-    if (!meetingTasks.has(meetingUuid)) {
-        meetingTasks.set(meetingUuid, []);
-    }
-    
-    const tasks = meetingTasks.get(meetingUuid);
+async function addTaskToMeeting(meetingUuid, task) {
     task.id = `${meetingUuid}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    task.meetingUuid = meetingUuid;
     task.createdAt = new Date().toISOString();
-    tasks.push(task);
+
+    const repository = await getTaskRepository();
+    await repository.saveTask(task);
     
-    console.log('💾 TASK SAVED TO CACHE:', {
+    console.log('💾 TASK SAVED TO STORAGE:', {
         meetingUuid,
         taskId: task.id,
         taskType: task.taskType,
@@ -56,8 +57,14 @@ function addTaskToMeeting(meetingUuid, task) {
     return task;
 }
 
-function getMeetingTasks(meetingUuid) {
-    return meetingTasks.get(meetingUuid) || [];
+async function getMeetingTasks(meetingUuid) {
+    const repository = await getTaskRepository();
+    return repository.getTasks(meetingUuid);
+}
+
+async function getPendingSuggestions(meetingUuid = null) {
+    const repository = await getTaskRepository();
+    return repository.getSuggestions({ meetingUuid, status: 'pending' });
 }
 
 function isTaskSimilar(existingTask, newTaskSuggestion) {
@@ -79,9 +86,12 @@ function isTaskSimilar(existingTask, newTaskSuggestion) {
     return similarity > 0.6; // 60% similarity threshold
 }
 
-function hasSimilarTask(meetingUuid, taskSuggestion) {
-    const existingTasks = getMeetingTasks(meetingUuid);
-    return existingTasks.some(task => isTaskSimilar(task, taskSuggestion));
+async function hasSimilarTask(meetingUuid, taskSuggestion) {
+    // batches overlap, so also skip tasks that are still waiting for approval
+    const tasks = await getMeetingTasks(meetingUuid);
+    const pendingTasks = await getPendingSuggestions(meetingUuid);
+    return [...tasks, ...pendingTasks]
+        .some(task => isTaskSimilar(task, taskSuggestion));
 }
 
 /**
@@ -116,47 +126,106 @@ class TranscriptAnalyzer {
     }
 
     /**
-     * Analyze recent transcripts for task creation opportunities
+     * Add a transcript to the meeting context and analyze it right away
      */
     async analyzeForTasks(meetingUuid, newTranscript) {
+        this.addTranscriptToContext(meetingUuid, newTranscript);
+        return this.analyzeContext(meetingUuid);
+    }
+
+    /**
+     * Analyze the recent transcripts of a meeting for task creation
+     * opportunities; the analysis scheduler calls this for batches of
+     * utterances rather than for each one
+     */
+    async analyzeContext(meetingUuid) {
         try {
-            // Check if OpenAI is configured
-            if (!isOpenAIConfigured()) {
-                console.log('⚠️ OpenAI API key not configured - skipping GPT-4 analysis');
-                this.addTranscriptToContext(meetingUuid, newTranscript);
+            const context = meetingContexts.get(meetingUuid) || [];
+            
+            // Only analyze if we have enough context
+            if (context.length < 2) {
                 return null;
             }
 
-            // Initialize OpenAI client if needed
-            const client = initializeOpenAI();
-            if (!client) {
-                console.log('❌ Failed to initialize OpenAI client');
-                this.addTranscriptToContext(meetingUuid, newTranscript);
+            // Without an LLM, the phrase rules decide on their own
+            const provider = getLlmProvider();
+            const ruleAnalysis = detectTask(context);
+            let analysis = ruleAnalysis;
+
+            if (!provider || taskDetection.mode === 'rules') {
+                console.log('🧩 RULE-BASED ANALYSIS COMPLETE:', ruleAnalysis);
+            } else if (
+                taskDetection.mode === 'prefilter' &&
+                ruleAnalysis.confidence < taskDetection.prefilterThreshold
+            ) {
+                dbg(`No task cues in ${meetingUuid} - skipping LLM analysis`);
                 return null;
+            } else {
+                analysis = await this.analyzeWithLlm(meetingUuid, provider, context);
+                if (!analysis) return null;
             }
 
-            // Add new transcript to context
-            this.addTranscriptToContext(meetingUuid, newTranscript);
+            // Only return if task is detected with reasonable confidence
+            if (analysis.taskDetected && analysis.confidence > 0.6) {
+                // Check if we already have a similar task for this meeting
+                if (await hasSimilarTask(meetingUuid, analysis)) {
+                    console.log('🔄 SIMILAR TASK ALREADY EXISTS - skipping suggestion:', {
+                        taskType: analysis.taskType,
+                        description: analysis.taskDescription
+                    });
+                    return null;
+                }
+
+                const taskSuggestion = {
+                    ...analysis,
+                    meetingUuid,
+                    timestamp: new Date().toISOString(),
+                    context: context.slice(-3) // Include last 3 entries for reference
+                };
 
-            const context = meetingContexts.get(meetingUuid) || [];
-            
-            // Only analyze if we have enough context
-            if (context.length < 2) {
-                return null;
+                // Store as pending suggestion (waiting for user approval)
+                const suggestionId = `${meetingUuid}-${Date.now()}`;
+                taskSuggestion.suggestionId = suggestionId;
+                taskSuggestion.status = 'pending';
+                const repository = await getTaskRepository();
+                await repository.saveSuggestion(taskSuggestion);
+
+                console.log('📋 TASK SUGGESTION STORED FOR APPROVAL:', {
+                    suggestionId,
+                    taskType: analysis.taskType,
+                    description: analysis.taskDescription
+                });
+
+                return taskSuggestion;
             }
 
-            // Prepare conversation context for GPT-4
-            const conversationText = context
-                .map(entry => `${entry.speaker}: ${entry.text}`)
-                .join('\n');
+            return null;
 
-            // Get already created tasks for this meeting to avoid duplicates
-            const existingTasks = getMeetingTasks(meetingUuid);
-            const taskSummary = existingTasks.length > 0 
-                ? existingTasks.map(task => `- ${task.taskType}: ${task.taskDescription || task.description}`).join('\n')
-                : 'None';
+        } catch (error) {
+            console.error('❌ LLM ANALYSIS ERROR:', error);
+            dbg('Error analyzing transcript:', error);
+            recordAnalyzerError(meetingUuid, { type: 'request', errors: [error.message] });
+            return null;
+        }
+    }
 
-            const prompt = `
+    /**
+     * Ask the LLM whether a meeting's recent transcript asks for a task
+     * @return {Promise<Object|null>} the analysis, or null without a valid reply
+     */
+    async analyzeWithLlm(meetingUuid, provider, context) {
+        // Prepare conversation context for the LLM
+        const conversationText = context
+            .map(entry => `${entry.speaker}: ${entry.text}`)
+            .join('\n');
+
+        // Get already created tasks for this meeting to avoid duplicates
+        const existingTasks = await getMeetingTasks(meetingUuid);
+        const taskSummary = existingTasks.length > 0 
+            ? existingTasks.map(task => `- ${task.taskType}: ${task.taskDescription || task.description}`).join('\n')
+            : 'None';
+
+        const prompt = `
 Analyze the following meeting conversation transcript and determine if participants are discussing creating tasks or action items.
 
 Look for mentions of:
@@ -183,7 +252,7 @@ ${conversationText}
 Respond with a JSON object in this exact format:
 {
     "taskDetected": true/false,
-    "taskType": "jira|coding|meeting|document|task|other",
+    "taskType": "${taskTypes.join('|')}",
     "taskDescription": "Brief description of what needs to be created or done",
     "suggestedAction": "Specific action to take",
     "requiresBackend": true/false,
@@ -199,93 +268,76 @@ Set "requiresBackend" to true ONLY for coding/development tasks that involve:
 
 Only respond with the JSON object, no additional text.`;
 
-            console.log('🤖 ANALYZING TRANSCRIPT WITH GPT-4:', {
-                meetingUuid,
-                contextLength: context.length,
-                latestSpeaker: newTranscript.speaker_name
-            });
+        console.log('🤖 ANALYZING TRANSCRIPT WITH LLM:', {
+            meetingUuid,
+            provider: provider.name,
+            model: provider.model,
+            contextLength: context.length,
+            latestSpeaker: context[context.length - 1].speaker
+        });
 
-            const response = await client.chat.completions.create({
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are an AI assistant that analyzes meeting transcripts to identify when participants are discussing creating tasks, meetings, or other actionable items. Be precise and only detect clear intentions to create something."
-                    },
-                    {
-                        role: "user",
-                        content: prompt
-                    }
-                ],
-                temperature: 0.3,
-                max_tokens: 300
-            });
+        const analysis = await this.requestAnalysis(meetingUuid, provider, prompt);
+        if (!analysis) return null;
+        
+        console.log('✅ LLM ANALYSIS COMPLETE:', analysis);
 
-            const analysis = JSON.parse(response.choices[0].message.content);
-            
-            console.log('✅ GPT-4 ANALYSIS COMPLETE:', analysis);
+        return analysis;
+    }
 
-            // Only return if task is detected with reasonable confidence
-            if (analysis.taskDetected && analysis.confidence > 0.6) {
-                // Check if we already have a similar task for this meeting
-                if (hasSimilarTask(meetingUuid, analysis)) {
-                    console.log('🔄 SIMILAR TASK ALREADY EXISTS - skipping suggestion:', {
-                        taskType: analysis.taskType,
-                        description: analysis.taskDescription
-                    });
-                    return null;
+    /**
+     * Ask the LLM for an analysis until its reply passes the task analysis
+     * schema, repairing small slips first and telling the model what was
+     * wrong before trying again
+     * @return {Promise<Object|null>} the valid analysis, or null after
+     *  llm.maxAttempts invalid replies
+     */
+    async requestAnalysis(meetingUuid, provider, prompt) {
+        const system = "You are an AI assistant that analyzes meeting transcripts to identify when participants are discussing creating tasks, meetings, or other actionable items. Be precise and only detect clear intentions to create something.";
+        let request = prompt;
+
+        for (let attempt = 1; attempt <= llm.maxAttempts; attempt++) {
+            const response = await provider.complete({ system, prompt: request });
+
+            let analysis;
+            let errors;
+            try {
+                analysis = parseJsonReply(response.text);
+                errors = await validateTaskAnalysis(analysis);
+                if (errors.length) {
+                    analysis = repairTaskAnalysis(analysis);
+                    errors = await validateTaskAnalysis(analysis);
                 }
+            } catch (error) {
+                errors = [`reply is not JSON: ${error.message}`];
+            }
 
-                const taskSuggestion = {
-                    ...analysis,
-                    meetingUuid,
-                    timestamp: new Date().toISOString(),
-                    context: context.slice(-3) // Include last 3 entries for reference
-                };
-
-                // Store as pending suggestion (waiting for user approval)
-                const suggestionId = `${meetingUuid}-${Date.now()}`;
-                pendingTaskSuggestions.set(suggestionId, taskSuggestion);
-                taskSuggestion.suggestionId = suggestionId;
-
-                console.log('📋 TASK SUGGESTION STORED FOR APPROVAL:', {
-                    suggestionId,
-                    taskType: analysis.taskType,
-                    description: analysis.taskDescription
-                });
+            if (!errors.length) return analysis;
 
-                return taskSuggestion;
-            }
+            console.warn('⚠️ INVALID LLM ANALYSIS:', { meetingUuid, attempt, errors });
+            recordAnalyzerError(meetingUuid, {
+                type: 'validation',
+                attempt,
+                errors,
+                reply: response.text.slice(0, 2000)
+            });
 
-            return null;
+            request = `${prompt}
 
-        } catch (error) {
-            console.error('❌ GPT-4 ANALYSIS ERROR:', error);
-            dbg('Error analyzing transcript:', error);
-            return null;
+Your previous reply was invalid: ${errors.join('; ')}.
+Reply again with only the JSON object in the exact format above.`;
         }
+
+        return null;
     }
 
     /**
-     * Clear context for a meeting (when meeting ends)
+     * Clear context for a meeting (when meeting ends); its tasks and
+     * suggestions stay in the task repository
      */
     clearMeetingContext(meetingUuid) {
         meetingContexts.delete(meetingUuid);
         
-        // Also clear tasks and pending suggestions for this meeting
-        const taskCount = meetingTasks.has(meetingUuid) ? meetingTasks.get(meetingUuid).length : 0;
-        meetingTasks.delete(meetingUuid);
-        
-        // Clear pending suggestions for this meeting
-        const pendingSuggestions = Array.from(pendingTaskSuggestions.entries())
-            .filter(([id, suggestion]) => suggestion.meetingUuid === meetingUuid);
-        pendingSuggestions.forEach(([id]) => pendingTaskSuggestions.delete(id));
-        
-        console.log('🧹 CLEARED ALL DATA FOR MEETING:', {
-            meetingUuid,
-            clearedTasks: taskCount,
-            clearedPendingSuggestions: pendingSuggestions.length
-        });
+        console.log('🧹 CLEARED TRANSCRIPT CONTEXT FOR MEETING:', { meetingUuid });
     }
 
     /**
@@ -353,7 +405,7 @@ async function sendActionItemToBackend(analysisResult) {
  */
 export class TaskCreator {
     constructor() {
-        this.supportedTaskTypes = ['jira', 'coding', 'meeting', 'document', 'task', 'other'];
+        this.supportedTaskTypes = taskTypes;
     }
 
     /**
@@ -398,17 +450,22 @@ export class TaskCreator {
 
             // Save the task to cache if creation was successful
             if (result.success) {
-                const cachedTask = addTaskToMeeting(analysisResult.meetingUuid, {
+                const cachedTask = await addTaskToMeeting(analysisResult.meetingUuid, {
                     ...analysisResult,
                     ...result,
                     status: 'completed'
                 });
                 result.cachedTask = cachedTask;
 
-                // Remove from pending suggestions
+                // No longer pending
                 if (analysisResult.suggestionId) {
-                    pendingTaskSuggestions.delete(analysisResult.suggestionId);
-                    console.log('🗑️ REMOVED PENDING SUGGESTION:', analysisResult.suggestionId);
+                    const repository = await getTaskRepository();
+                    await repository.saveSuggestion({
+                        suggestionId: analysisResult.suggestionId,
+                        status: 'created',
+                        taskId: cachedTask.id
+                    });
+                    console.log('🗑️ SUGGESTION NO LONGER PENDING:', analysisResult.suggestionId);
                 }
             }
 
@@ -521,27 +578,32 @@ export const taskCreator = new TaskCreator();
 /**
  * Export functions for accessing cached tasks and managing task state
  */
-export function getAllMeetingTasks(meetingUuid) {
+export async function getAllMeetingTasks(meetingUuid) {
     return getMeetingTasks(meetingUuid);
 }
 
-export function getAllPendingTaskSuggestions(meetingUuid = null) {
-    if (meetingUuid) {
-        return Array.from(pendingTaskSuggestions.entries())
-            .filter(([id, suggestion]) => suggestion.meetingUuid === meetingUuid)
-            .map(([id, suggestion]) => ({ id, ...suggestion }));
-    }
-    return Array.from(pendingTaskSuggestions.entries())
-        .map(([id, suggestion]) => ({ id, ...suggestion }));
+export async function getAllPendingTaskSuggestions(meetingUuid = null) {
+    const suggestions = await getPendingSuggestions(meetingUuid);
+    return suggestions.map(suggestion => ({ id: suggestion.suggestionId, ...suggestion }));
 }
 
-export function getTaskSuggestionById(suggestionId) {
-    return pendingTaskSuggestions.get(suggestionId);
+/**
+ * Get recent analyzer errors, newest first
+ */
+export function getAnalyzerErrors(meetingUuid = null) {
+    return analyzerErrors
+        .filter(error => !meetingUuid || error.meetingUuid === meetingUuid)
+        .reverse();
 }
 
-export function approveTaskSuggestion(suggestionId) {
-    const suggestion = pendingTaskSuggestions.get(suggestionId);
-    if (!suggestion) {
+export async function getTaskSuggestionById(suggestionId) {
+    const repository = await getTaskRepository();
+    return repository.getSuggestion(suggestionId);
+}
+
+export async function approveTaskSuggestion(suggestionId) {
+    const suggestion = await getTaskSuggestionById(suggestionId);
+    if (suggestion?.status !== 'pending') {
         return { success: false, error: 'Task suggestion not found' };
     }
     
@@ -554,13 +616,18 @@ export function approveTaskSuggestion(suggestionId) {
     return taskCreator.createTask(suggestion, true);
 }
 
-export function rejectTaskSuggestion(suggestionId) {
-    const suggestion = pendingTaskSuggestions.get(suggestionId);
-    if (!suggestion) {
+export async function rejectTaskSuggestion(suggestionId) {
+    const suggestion = await getTaskSuggestionById(suggestionId);
+    if (suggestion?.status !== 'pending') {
         return { success: false, error: 'Task suggestion not found' };
     }
     
-    pendingTaskSuggestions.delete(suggestionId);
+    const repository = await getTaskRepository();
+    await repository.saveSuggestion({
+        suggestionId,
+        status: 'rejected',
+        rejectedAt: new Date().toISOString()
+    });
     
     console.log('❌ TASK SUGGESTION REJECTED:', {
         suggestionId,
@@ -571,9 +638,9 @@ export function rejectTaskSuggestion(suggestionId) {
     return { success: true, message: 'Task suggestion rejected' };
 }
 
-export function getMeetingTaskStats(meetingUuid) {
-    const tasks = getMeetingTasks(meetingUuid);
-    const pendingSuggestions = getAllPendingTaskSuggestions(meetingUuid);
+export async function getMeetingTaskStats(meetingUuid) {
+    const tasks = await getMeetingTasks(meetingUuid);
+    const pendingSuggestions = await getPendingSuggestions(meetingUuid);
     
     const stats = {
         totalTasks: tasks.length,
@@ -0,0 +1,226 @@
+import OpenAI from 'openai';
+import debug from 'debug';
+import fetch from 'node-fetch';
+import { llm } from '../../config.js';
+import { detectTask } from './rule-detector.js';
+
+const dbg = debug('zoom-app:llm-providers');
+
+/**
+ * Chat completion request shared by every provider
+ * @typedef {Object} CompletionRequest
+ * @property {string} system - system prompt
+ * @property {string} prompt - user message
+ * @property {number} [temperature] - overrides LLM_TEMPERATURE
+ * @property {number} [maxTokens] - overrides LLM_MAX_TOKENS
+ */
+
+/**
+ * Chat completion result shared by every provider
+ * @typedef {Object} Completion
+ * @property {string} text - the model's reply
+ * @property {string} model - model that answered
+ * @property {string} provider - provider name
+ */
+
+/**
+ * Any server exposing the OpenAI chat completions API: OpenAI itself, or
+ * Azure OpenAI, vLLM, Ollama and others through LLM_BASE_URL
+ */
+export class OpenAIProvider {
+    constructor({ apiKey, baseUrl, model, temperature, maxTokens, timeoutMs }) {
+        this.name = 'openai';
+        this.model = model || 'gpt-4';
+        this.temperature = temperature;
+        this.maxTokens = maxTokens;
+        this.client = new OpenAI({
+            apiKey,
+            baseURL: baseUrl || undefined,
+            timeout: timeoutMs,
+        });
+    }
+
+    /**
+     * @param {CompletionRequest} request
+     * @return {Promise<Completion>}
+     */
+    async complete({ system, prompt, temperature, maxTokens }) {
+        const response = await this.client.chat.completions.create({
+            model: this.model,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: prompt },
+            ],
+            temperature: temperature ?? this.temperature,
+            max_tokens: maxTokens ?? this.maxTokens,
+        });
+
+        return {
+            text: response.choices[0]?.message?.content || '',
+            model: response.model || this.model,
+            provider: this.name,
+        };
+    }
+}
+
+/**
+ * Anthropic's Messages API
+ */
+export class AnthropicProvider {
+    constructor({ apiKey, baseUrl, model, temperature, maxTokens, timeoutMs }) {
+        this.name = 'anthropic';
+        this.apiKey = apiKey;
+        this.baseUrl = (baseUrl || 'https://api.anthropic.com').replace(
+            /\/+$/,
+            ''
+        );
+        this.model = model || 'claude-3-5-haiku-latest';
+        this.temperature = temperature;
+        this.maxTokens = maxTokens;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * @param {CompletionRequest} request
+     * @return {Promise<Completion>}
+     */
+    async complete({ system, prompt, temperature, maxTokens }) {
+        const response = await fetch(`${this.baseUrl}/v1/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': this.apiKey,
+                'anthropic-version': '2023-06-01',
+            },
+            body: JSON.stringify({
+                model: this.model,
+                system,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: temperature ?? this.temperature,
+                max_tokens: maxTokens ?? this.maxTokens,
+            }),
+            signal: AbortSignal.timeout(this.timeoutMs),
+        });
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(
+                `Anthropic request failed: ${response.status} ${
+                    body.error?.message || response.statusText
+                }`
+            );
+        }
+
+        return {
+            text: (body.content || [])
+                .filter((block) => block.type === 'text')
+                .map((block) => block.text)
+                .join(''),
+            model: body.model || this.model,
+            provider: this.name,
+        };
+    }
+}
+
+/**
+ * Deterministic offline provider for tests and CI: it answers the
+ * analyzer's prompt with the rule detector's verdict on the transcript lines
+ * in it, or always with LLM_MOCK_RESPONSE when set
+ */
+export class MockProvider {
+    constructor({ model, mockResponse } = {}) {
+        this.name = 'mock';
+        this.model = model || 'mock';
+        this.response = mockResponse;
+    }
+
+    /**
+     * @param {CompletionRequest} request
+     * @return {Promise<Completion>}
+     */
+    async complete({ prompt }) {
+        const completion = (text) => ({
+            text,
+            model: this.model,
+            provider: this.name,
+        });
+        if (this.response !== undefined) return completion(this.response);
+
+        // the "Speaker: text" lines of the transcript in the prompt
+        const transcript =
+            prompt.split('Conversation transcript:')[1]?.split('\n\n')[0] || '';
+        const context = transcript
+            .split('\n')
+            .filter((line) => line.trim())
+            .map((line) => {
+                const [speaker, ...rest] = line.split(': ');
+                return { speaker, text: rest.join(': ') };
+            });
+
+        // answer with the fields the model is asked for, nothing more
+        const {
+            taskDetected,
+            taskType,
+            taskDescription,
+            suggestedAction,
+            requiresBackend,
+            confidence,
+            relevantSpeakers,
+        } = detectTask(context);
+
+        return completion(
+            JSON.stringify({
+                taskDetected,
+                taskType,
+                taskDescription,
+                suggestedAction,
+                requiresBackend,
+                confidence,
+                relevantSpeakers,
+            })
+        );
+    }
+}
+
+/**
+ * Build a provider from settings shaped like the llm config
+ * @param {Object} settings - provider name, credentials and model settings
+ * @return {OpenAIProvider|AnthropicProvider|MockProvider|null} null when
+ *  no provider is configured
+ */
+export function createLlmProvider(settings) {
+    switch (settings.provider) {
+        case 'openai':
+            return new OpenAIProvider(settings);
+        case 'anthropic':
+            return new AnthropicProvider(settings);
+        case 'mock':
+            return new MockProvider(settings);
+        case null:
+        case undefined:
+        case '':
+            return null;
+        default:
+            throw new Error(`Unknown LLM provider: ${settings.provider}`);
+    }
+}
+
+let provider;
+
+/**
+ * Get the provider chosen with LLM_PROVIDER, created on first use
+ * @return {OpenAIProvider|AnthropicProvider|MockProvider|null}
+ */
+export function getLlmProvider() {
+    if (provider === undefined) {
+        provider = createLlmProvider(llm);
+        if (provider) {
+            console.log('✅ LLM provider initialized:', {
+                provider: provider.name,
+                model: provider.model,
+            });
+        }
+        dbg(`LLM provider: ${provider?.name || 'none'}`);
+    }
+    return provider;
+}
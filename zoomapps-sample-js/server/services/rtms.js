@@ -2,7 +2,11 @@ import crypto from 'crypto';
 import WebSocket from 'ws';
 import debug from 'debug';
 import { zoomApp } from '../../config.js';
-import { transcriptAnalyzer } from './gpt4-analyzer.js';
+import {
+    queueTranscriptAnalysis,
+    startTranscriptAnalysis,
+    stopTranscriptAnalysis,
+} from './analysis-scheduler.js';
 
 const dbg = debug('zoom-app:rtms');
 
@@ -218,26 +222,10 @@ function connectToMediaWebSocket(
                     timestamp: new Date().toISOString(),
                 };
 
-                // Analyze transcript with GPT-4 for task creation opportunities
-                transcriptAnalyzer.analyzeForTasks(meetingUuid, transcriptData)
-                    .then(taskSuggestion => {
-                        if (taskSuggestion) {
-                            console.log('🎯 TASK SUGGESTION DETECTED:', taskSuggestion);
-                            // Send both transcript and task suggestion
-                            onTranscript(meetingUuid, {
-                                ...transcriptData,
-                                taskSuggestion
-                            });
-                        } else {
-                            // Send just the transcript
-                            onTranscript(meetingUuid, transcriptData);
-                        }
-                    })
-                    .catch(error => {
-                        console.error('❌ GPT-4 ANALYSIS ERROR:', error);
-                        // Send transcript even if analysis fails
-                        onTranscript(meetingUuid, transcriptData);
-                    });
+                // Send the transcript right away; task analysis runs in
+                // batches on the analysis scheduler
+                onTranscript(meetingUuid, transcriptData);
+                queueTranscriptAnalysis(meetingUuid, transcriptData);
             }
 
             // Handle legacy format (msg_type 5) - keep for backward compatibility
@@ -308,8 +296,20 @@ function connectToMediaWebSocket(
 
 /**
  * Start RTMS connection for a meeting
+ * @param {string} meetingUuid - Meeting UUID
+ * @param {string} streamId - RTMS stream ID
+ * @param {string} serverUrls - RTMS signaling server URLs
+ * @param {Function} onTranscript - called with (meetingUuid, transcript)
+ * @param {Function} [onTaskSuggestion] - called with (meetingUuid,
+ *  taskSuggestion) when the analyzer suggests a task
  */
-export function startRTMS(meetingUuid, streamId, serverUrls, onTranscript) {
+export function startRTMS(
+    meetingUuid,
+    streamId,
+    serverUrls,
+    onTranscript,
+    onTaskSuggestion
+) {
     console.log('🔗 STARTING RTMS CONNECTION:', {
         meetingUuid,
         streamId,
@@ -317,6 +317,7 @@ export function startRTMS(meetingUuid, streamId, serverUrls, onTranscript) {
         timestamp: new Date().toISOString(),
     });
     dbg(`Starting RTMS for meeting ${meetingUuid}`);
+    startTranscriptAnalysis(meetingUuid, onTaskSuggestion);
     connectToSignalingWebSocket(
         meetingUuid,
         streamId,
@@ -330,6 +331,7 @@ export function startRTMS(meetingUuid, streamId, serverUrls, onTranscript) {
  */
 export function stopRTMS(meetingUuid) {
     dbg(`Stopping RTMS for meeting ${meetingUuid}`);
+    stopTranscriptAnalysis(meetingUuid);
     if (activeConnections.has(meetingUuid)) {
         const connections = activeConnections.get(meetingUuid);
         for (const conn of Object.values(connections)) {
@@ -0,0 +1,179 @@
+/**
+ * Deterministic task detection from phrase patterns, imperative verbs and
+ * assignee/deadline cues, for deployments without an LLM and to decide when
+ * an LLM call is worth making
+ */
+
+// Phrases that announce something to be done
+const intentPhrases = [
+    /\b(let'?s|let us)\s+(create|file|open|schedule|set up|write|draft|add|fix|make|book)\b/i,
+    /\b(can|could|would) (you|someone|somebody)( please)?\s+\w+/i,
+    /\b(we|i|you) (need|have|got) to\b/i,
+    /\b(we|you) should\b/i,
+    /\b(i'?ll|i will|i'?m going to)\s+(create|file|open|schedule|set up|write|draft|add|fix|send|take care of|follow up)\b/i,
+    /\b(action item|to-?do|follow[- ]up|next step)s?\b/i,
+    /\b(someone|somebody) (needs to|should|has to)\b/i,
+    /\bmake sure (we|to|you)\b/i,
+];
+
+// Verbs that start a request when they open a sentence
+const imperativeVerbs =
+    /(^|[.!?]\s+|,\s*(please\s+)?)(please\s+)?(create|file|open|schedule|set up|book|write|draft|fix|update|send|review|deploy|clone|add|remove|check|prepare|email|ping|call|assign)\b/i;
+
+// Phrases that take a request back
+const negations =
+    /\b(no need to|don'?t (need|have) to|not necessary|never ?mind|already (done|created|fixed|filed|scheduled)|forget (it|about))\b/i;
+
+// Task type of an utterance, first match wins
+const taskTypeRules = [
+    {
+        taskType: 'jira',
+        pattern: /\b(jira|ticket|bug report|issue tracker)\b/i,
+    },
+    {
+        taskType: 'coding',
+        pattern:
+            /\b(repo(sitory)?|branch|commit|pull request|pr|merge|deploy|refactor|endpoint|api|unit tests?|code)\b/i,
+    },
+    {
+        taskType: 'meeting',
+        pattern:
+            /\b(schedule|calendar|invite|meeting|sync|call|1:1|one-on-one)\b/i,
+    },
+    {
+        taskType: 'document',
+        pattern:
+            /\b(document|doc|write-?up|spec|proposal|notes|slides|deck|report)\b/i,
+    },
+    { taskType: 'task', pattern: /./ },
+];
+
+// Who a task is for: "@dana", "assign it to Dana", "Dana, can you ..."; the
+// speaker for "I'll ..."
+const selfAssigned =
+    /\b(i'?ll|i will|i'?m going to|i can) (take|handle|own|do)\b|\bi'?ll\b/i;
+const assigneeCues = [
+    /@(\w+)/,
+    /\bassign(?:ed)? (?:it |this |that )?to (\w+)/i,
+    /^(\w+),\s+(?:can|could|would|please)\b/i,
+    /\b(\w+) (?:will|is going to|can) (?:take|handle|own) (?:it|this|that)\b/i,
+];
+
+// Words that open a sentence or stand in for a person but are no assignee
+const notNames =
+    /^(ok|okay|so|and|but|yes|yeah|no|well|hey|hi|alright|right|also|then|um|uh|i|we|you|they|someone|somebody|everyone|it|this|that)$/i;
+
+// When a task is due: "by Friday", "end of week", "tomorrow", "ASAP"
+const deadlineCue =
+    /\b(by (?:(?:next |this )?(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday|week|month)|tomorrow|tonight|noon|eod|eow|\d{1,2}(?::\d{2})?\s*(?:am|pm)?|\d{1,2}\/\d{1,2})|(?:by |before )?(?:the )?end of (?:the )?(?:day|week|month|sprint)|tomorrow|today|tonight|asap|next (?:week|sprint))\b/i;
+
+// Weights of the cues; a detection needs their sum above the threshold
+const weights = {
+    intent: 0.5,
+    imperative: 0.45,
+    object: 0.2,
+    assignee: 0.1,
+    deadline: 0.1,
+    negation: -0.5,
+};
+
+// Same bar the analyzer applies to LLM suggestions
+export const detectionThreshold = 0.6;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Score one utterance
+ * @param {string} text - what was said
+ * @param {string} [speaker] - who said it
+ * @return {Object} confidence, task type and the cues that matched
+ */
+export function scoreUtterance(text, speaker) {
+    const matchedRule = taskTypeRules.find(({ pattern }) => pattern.test(text));
+    const taskType = matchedRule.taskType;
+
+    const assignee =
+        assigneeCues
+            .map((pattern) => text.match(pattern)?.[1])
+            .find((name) => name && !notNames.test(name)) ||
+        (speaker && selfAssigned.test(text) ? speaker : undefined);
+    const deadline = text.match(deadlineCue)?.[1];
+
+    const cues = {
+        intent: intentPhrases.some((pattern) => pattern.test(text)),
+        imperative: imperativeVerbs.test(text),
+        object: taskType !== 'task',
+        assignee: !!assignee,
+        deadline: !!deadline,
+        negation: negations.test(text),
+    };
+
+    // an object or a due date alone is just talk about work, not a request
+    const confidence =
+        cues.intent || cues.imperative
+            ? Object.keys(cues).reduce(
+                  (sum, cue) => sum + (cues[cue] ? weights[cue] : 0),
+                  0
+              )
+            : 0;
+
+    return {
+        confidence: round(Math.min(Math.max(confidence, 0), 0.95)),
+        taskType,
+        assignee: assignee || null,
+        deadline: deadline || null,
+        cues: Object.keys(cues).filter((cue) => cues[cue]),
+    };
+}
+
+/**
+ * Look for a task in a meeting's recent transcript
+ *
+ * The result has the shape of an LLM task analysis, plus the assignee,
+ * deadline and cues that were found. The most recent utterance with the
+ * highest score wins.
+ * @param {Object[]} context - {speaker, text} entries, oldest first
+ * @return {Object} task analysis
+ */
+export function detectTask(context) {
+    let best = null;
+
+    context.forEach(({ speaker, text }) => {
+        if (!text || typeof text !== 'string') return;
+
+        const score = scoreUtterance(text, speaker);
+        if (!best || score.confidence >= best.score.confidence) {
+            best = { speaker, text: text.trim(), score };
+        }
+    });
+
+    if (!best || best.score.confidence === 0) {
+        return {
+            taskDetected: false,
+            taskType: 'other',
+            taskDescription: '',
+            suggestedAction: '',
+            requiresBackend: false,
+            confidence: 0,
+            relevantSpeakers: [],
+            detector: 'rules',
+        };
+    }
+
+    const { speaker, text, score } = best;
+    const assignee = score.assignee ? ` for ${score.assignee}` : '';
+
+    return {
+        taskDetected: score.confidence > detectionThreshold,
+        taskType: score.taskType,
+        taskDescription: text,
+        suggestedAction: `Create ${score.taskType}${assignee}: ${text}`,
+        requiresBackend: score.taskType === 'coding',
+        confidence: score.confidence,
+        relevantSpeakers: speaker ? [speaker] : [],
+        assignee: score.assignee,
+        deadline: score.deadline,
+        cues: score.cues,
+        detector: 'rules',
+    };
+}
@@ -0,0 +1,130 @@
+import fs from 'fs/promises';
+import path from 'path';
+import debug from 'debug';
+import { MemoryTaskRepository } from './memory.js';
+
+const dbg = debug('zoom-app:storage:file');
+
+/**
+ * Task repository in a JSON file
+ *
+ * Tasks and suggestions are loaded from `<dir>/tasks.json` on first use and
+ * the whole file is rewritten after every change, which is plenty for the
+ * few dozen action items a meeting produces.
+ */
+export class FileTaskRepository extends MemoryTaskRepository {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - folder to store tasks.json in
+     */
+    constructor({ dir }) {
+        super();
+        this.file = path.resolve(dir, 'tasks.json');
+        this.loaded = null;
+        // promise chain serializing writes of the file
+        this.writes = Promise.resolve();
+    }
+
+    /**
+     * Read tasks.json once; an unreadable file is moved aside so the app
+     * starts empty instead of failing every call, and other errors are
+     * retried on the next call
+     */
+    load() {
+        if (!this.loaded) {
+            this.loaded = this.read().catch((e) => {
+                this.loaded = null;
+                throw e;
+            });
+        }
+        return this.loaded;
+    }
+
+    async read() {
+        let text;
+        try {
+            text = await fs.readFile(this.file, 'utf-8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return;
+            throw e;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            const aside = `${this.file}.corrupt-${Date.now()}`;
+            await fs.rename(this.file, aside);
+            console.log('⚠️ UNREADABLE TASK FILE MOVED ASIDE:', {
+                file: aside,
+                error: e.message,
+            });
+            return;
+        }
+
+        const { tasks = [], suggestions = [] } = data;
+        tasks.forEach((task) => this.tasks.set(task.id, task));
+        suggestions.forEach((suggestion) =>
+            this.suggestions.set(suggestion.suggestionId, suggestion)
+        );
+        dbg(`Loaded ${tasks.length} tasks from ${this.file}`);
+    }
+
+    /**
+     * Write every task and suggestion after earlier writes have finished
+     */
+    persist() {
+        const write = async () => {
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+            const text = JSON.stringify(
+                {
+                    tasks: Array.from(this.tasks.values()),
+                    suggestions: Array.from(this.suggestions.values()),
+                },
+                null,
+                2
+            );
+
+            const tmp = `${this.file}.tmp`;
+            await fs.writeFile(tmp, text);
+            await fs.rename(tmp, this.file);
+        };
+
+        this.writes = this.writes.catch(() => {}).then(write);
+        return this.writes;
+    }
+
+    async saveTask(task) {
+        await this.load();
+        const saved = await super.saveTask(task);
+        await this.persist();
+        return saved;
+    }
+
+    async getTasks(meetingUuid) {
+        await this.load();
+        return super.getTasks(meetingUuid);
+    }
+
+    async saveSuggestion(suggestion) {
+        await this.load();
+        const saved = await super.saveSuggestion(suggestion);
+        await this.persist();
+        return saved;
+    }
+
+    async getSuggestion(suggestionId) {
+        await this.load();
+        return super.getSuggestion(suggestionId);
+    }
+
+    async getSuggestions(query) {
+        await this.load();
+        return super.getSuggestions(query);
+    }
+
+    async close() {
+        await this.writes.catch(() => {});
+    }
+}
@@ -0,0 +1,67 @@
+import path from 'path';
+import debug from 'debug';
+import { storage } from '../../config.js';
+import { MemoryTaskRepository } from './memory.js';
+import { FileTaskRepository } from './file.js';
+
+const dbg = debug('zoom-app:storage');
+
+// The adapters follow the root app's server/storage, whose comments explain
+// the choices they share: rewriting files through a temporary file and
+// importing the SQLite driver only when STORAGE_DRIVER=sqlite
+
+/**
+ * Task repository interface implemented by every storage adapter
+ *
+ * Tasks are the records made by TaskCreator, with an `id` and the
+ * `meetingUuid` they came from. Suggestions are keyed by `suggestionId`,
+ * carry a `status` (pending, created or rejected) and saveSuggestion merges
+ * the given fields into the stored record. Neither is removed when a meeting
+ * ends.
+ *
+ * @typedef {Object} TaskRepository
+ * @property {function(Object): Promise<Object>} saveTask - create or replace a task
+ * @property {function(string): Promise<Object[]>} getTasks - a meeting's tasks, oldest first
+ * @property {function(Object): Promise<Object>} saveSuggestion - create or update a suggestion
+ * @property {function(string): Promise<Object|null>} getSuggestion - get a suggestion by ID
+ * @property {function(Object=): Promise<Object[]>} getSuggestions - suggestions, optionally only a meeting's or with a status, oldest first
+ * @property {function(): Promise} close - flush and release the store
+ */
+
+let repository;
+
+/**
+ * Create the adapter selected by STORAGE_DRIVER
+ * @return {Promise<TaskRepository>}
+ */
+async function createRepository() {
+    switch (storage.driver) {
+        case 'memory':
+            return new MemoryTaskRepository();
+        case 'file':
+            return new FileTaskRepository({ dir: storage.dir });
+        case 'sqlite': {
+            const { SqliteTaskRepository } = await import('./sqlite.js');
+            return new SqliteTaskRepository({
+                file: path.join(storage.dir, 'tasks.db'),
+            });
+        }
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER: ${storage.driver}`);
+    }
+}
+
+/**
+ * Get the task repository, creating it on first use
+ * @return {Promise<TaskRepository>}
+ */
+export function getTaskRepository() {
+    if (!repository) {
+        dbg(`Using ${storage.driver} task storage`);
+        repository = createRepository().catch((e) => {
+            repository = undefined;
+            throw e;
+        });
+    }
+    return repository;
+}
@@ -0,0 +1,45 @@
+/**
+ * Task repository kept in process memory - nothing survives a restart
+ */
+export class MemoryTaskRepository {
+    constructor() {
+        // Map of task ID -> task, in creation order
+        this.tasks = new Map();
+        // Map of suggestion ID -> suggestion, in creation order
+        this.suggestions = new Map();
+    }
+
+    async saveTask(task) {
+        this.tasks.set(task.id, { ...task });
+        return task;
+    }
+
+    async getTasks(meetingUuid) {
+        return Array.from(this.tasks.values()).filter(
+            (task) => task.meetingUuid === meetingUuid
+        );
+    }
+
+    async saveSuggestion(suggestion) {
+        const saved = {
+            ...this.suggestions.get(suggestion.suggestionId),
+            ...suggestion,
+        };
+        this.suggestions.set(saved.suggestionId, saved);
+        return saved;
+    }
+
+    async getSuggestion(suggestionId) {
+        return this.suggestions.get(suggestionId) || null;
+    }
+
+    async getSuggestions({ meetingUuid, status } = {}) {
+        return Array.from(this.suggestions.values()).filter(
+            (suggestion) =>
+                (!meetingUuid || suggestion.meetingUuid === meetingUuid) &&
+                (!status || suggestion.status === status)
+        );
+    }
+
+    async close() {}
+}
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import debug from 'debug';
+
+const dbg = debug('zoom-app:storage:sqlite');
+
+const schema = `
+    CREATE TABLE IF NOT EXISTS tasks (
+        id TEXT PRIMARY KEY,
+        meeting_uuid TEXT,
+        created_at TEXT,
+        data TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS tasks_meeting ON tasks (meeting_uuid);
+
+    CREATE TABLE IF NOT EXISTS suggestions (
+        id TEXT PRIMARY KEY,
+        meeting_uuid TEXT,
+        status TEXT,
+        data TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS suggestions_meeting ON suggestions (meeting_uuid, status);
+`;
+
+/**
+ * Task repository in a SQLite database
+ *
+ * Records are stored as JSON next to the columns we filter on.
+ */
+export class SqliteTaskRepository {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - path of the database file
+     */
+    constructor({ file }) {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(schema);
+
+        dbg(`Opened task database ${file}`);
+
+        this.statements = {
+            putTask: this.db.prepare(
+                `INSERT INTO tasks (id, meeting_uuid, created_at, data)
+                 VALUES (@id, @meetingUuid, @createdAt, @data)
+                 ON CONFLICT (id)
+                 DO UPDATE SET meeting_uuid = @meetingUuid, created_at = @createdAt, data = @data`
+            ),
+            getTasks: this.db.prepare(
+                'SELECT data FROM tasks WHERE meeting_uuid = ? ORDER BY rowid'
+            ),
+            getSuggestion: this.db.prepare(
+                'SELECT data FROM suggestions WHERE id = ?'
+            ),
+            putSuggestion: this.db.prepare(
+                `INSERT INTO suggestions (id, meeting_uuid, status, data)
+                 VALUES (@id, @meetingUuid, @status, @data)
+                 ON CONFLICT (id)
+                 DO UPDATE SET meeting_uuid = @meetingUuid, status = @status, data = @data`
+            ),
+        };
+
+        // read-modify-write of a suggestion in one transaction
+        this.saveSuggestionTx = this.db.transaction((suggestion) => {
+            const row = this.statements.getSuggestion.get(
+                suggestion.suggestionId
+            );
+            const saved = { ...(row && JSON.parse(row.data)), ...suggestion };
+
+            this.statements.putSuggestion.run({
+                id: saved.suggestionId,
+                meetingUuid: saved.meetingUuid ?? null,
+                status: saved.status ?? null,
+                data: JSON.stringify(saved),
+            });
+
+            return saved;
+        });
+    }
+
+    async saveTask(task) {
+        this.statements.putTask.run({
+            id: task.id,
+            meetingUuid: task.meetingUuid ?? null,
+            createdAt: task.createdAt ?? null,
+            data: JSON.stringify(task),
+        });
+        return task;
+    }
+
+    async getTasks(meetingUuid) {
+        return this.statements.getTasks
+            .all(meetingUuid)
+            .map((row) => JSON.parse(row.data));
+    }
+
+    async saveSuggestion(suggestion) {
+        return this.saveSuggestionTx(suggestion);
+    }
+
+    async getSuggestion(suggestionId) {
+        const row = this.statements.getSuggestion.get(suggestionId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async getSuggestions({ meetingUuid, status } = {}) {
+        const where = [];
+        const params = [];
+
+        if (meetingUuid) {
+            where.push('meeting_uuid = ?');
+            params.push(meetingUuid);
+        }
+        if (status) {
+            where.push('status = ?');
+            params.push(status);
+        }
+
+        const filter = where.length ? `WHERE ${where.join(' AND ')}` : '';
+        return this.db
+            .prepare(`SELECT data FROM suggestions ${filter} ORDER BY rowid`)
+            .all(...params)
+            .map((row) => JSON.parse(row.data));
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
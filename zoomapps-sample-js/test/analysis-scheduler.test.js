@@ -0,0 +1,141 @@
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+
+// config.js reads the environment on import, so set it up first
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    ZM_CLIENT_ID: 'test-client-id',
+    ZM_CLIENT_SECRET: 'test-client-secret',
+    ZM_REDIRECT_URL: 'http://localhost/auth',
+    SESSION_SECRET: 'test-session-secret',
+    ANALYSIS_BATCH_SIZE: '10',
+    ANALYSIS_SILENCE_MS: '40',
+    ANALYSIS_WINDOW_MS: '150',
+    ANALYSIS_MAX_CONCURRENT: '1',
+});
+
+const { transcriptAnalyzer } = await import(
+    '../server/services/gpt4-analyzer.js'
+);
+const {
+    getAnalysisStats,
+    queueTranscriptAnalysis,
+    startTranscriptAnalysis,
+    stopTranscriptAnalysis,
+} = await import('../server/services/analysis-scheduler.js');
+
+// keep the scheduler's console logging out of the test report
+mock.method(console, 'log', () => {});
+
+const transcript = { speaker_name: 'Alice', text: 'Hello' };
+
+let analyses;
+let release;
+
+beforeEach(() => {
+    // analyses finish when the test releases them
+    analyses = [];
+    release = () => {};
+    mock.method(transcriptAnalyzer, 'analyzeContext', (meetingUuid) => {
+        analyses.push(meetingUuid);
+        return new Promise((resolve) => {
+            const previous = release;
+            release = (suggestion = null) => {
+                previous();
+                resolve(suggestion);
+            };
+        });
+    });
+});
+
+afterEach(async () => {
+    release();
+    await sleep(0);
+    ['a', 'b'].forEach(stopTranscriptAnalysis);
+    transcriptAnalyzer.analyzeContext.mock.restore();
+});
+
+describe('analysis scheduler', () => {
+    it('analyzes as soon as a batch is full', () => {
+        for (let i = 0; i < 9; i++) queueTranscriptAnalysis('a', transcript);
+        assert.deepEqual(analyses, []);
+
+        queueTranscriptAnalysis('a', transcript);
+        assert.deepEqual(analyses, ['a']);
+    });
+
+    it('analyzes after a silence', async () => {
+        queueTranscriptAnalysis('a', transcript);
+
+        await sleep(20);
+        assert.deepEqual(analyses, []);
+
+        await sleep(60);
+        assert.deepEqual(analyses, ['a']);
+    });
+
+    it('analyzes at the end of the time window while people keep talking', async () => {
+        // one utterance every 20ms never leaves a 40ms silence, and the
+        // window closes before a batch is full
+        const start = Date.now();
+        for (let i = 0; i < 9 && !analyses.length; i++) {
+            queueTranscriptAnalysis('a', transcript);
+            await sleep(20);
+        }
+
+        assert.deepEqual(analyses, ['a']);
+        assert.ok(Date.now() - start >= 150);
+    });
+
+    it('runs no more analyses than allowed at once', async () => {
+        for (let i = 0; i < 10; i++) queueTranscriptAnalysis('a', transcript);
+        for (let i = 0; i < 10; i++) queueTranscriptAnalysis('b', transcript);
+
+        assert.deepEqual(analyses, ['a']);
+        assert.deepEqual(getAnalysisStats(), {
+            meetings: 2,
+            running: 1,
+            waiting: 1,
+        });
+
+        release();
+        await sleep(0);
+        assert.deepEqual(analyses, ['a', 'b']);
+    });
+
+    it('hands suggestions of a running meeting on', async () => {
+        const onTaskSuggestion = mock.fn();
+        startTranscriptAnalysis('a', onTaskSuggestion);
+
+        for (let i = 0; i < 10; i++) queueTranscriptAnalysis('a', transcript);
+        release({ taskType: 'jira' });
+        await sleep(0);
+
+        assert.deepEqual(onTaskSuggestion.mock.calls[0].arguments, [
+            'a',
+            { taskType: 'jira' },
+        ]);
+    });
+
+    it('drops suggestions of a meeting that ended during its analysis', async () => {
+        const onTaskSuggestion = mock.fn();
+        startTranscriptAnalysis('a', onTaskSuggestion);
+
+        for (let i = 0; i < 10; i++) queueTranscriptAnalysis('a', transcript);
+        stopTranscriptAnalysis('a');
+        release({ taskType: 'jira' });
+        await sleep(0);
+
+        assert.equal(onTaskSuggestion.mock.callCount(), 0);
+    });
+
+    it('forgets utterances of a stopped meeting', async () => {
+        queueTranscriptAnalysis('a', transcript);
+        stopTranscriptAnalysis('a');
+
+        await sleep(80);
+        assert.deepEqual(analyses, []);
+        assert.equal(getAnalysisStats().meetings, 0);
+    });
+});
@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { FileTaskRepository } from '../server/storage/file.js';
+
+// keep the storage console logging out of the test report
+mock.method(console, 'log', () => {});
+
+const task = { id: 'task-1', meetingUuid: 'meeting-a', taskType: 'jira' };
+
+let dir;
+let file;
+
+beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'task-storage-'));
+    file = path.join(dir, 'tasks.json');
+});
+
+afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('FileTaskRepository', () => {
+    it('keeps tasks and suggestions across instances', async () => {
+        const repository = new FileTaskRepository({ dir });
+        await repository.saveTask(task);
+        await repository.saveSuggestion({
+            suggestionId: 'suggestion-1',
+            meetingUuid: 'meeting-a',
+            status: 'pending',
+        });
+        await repository.close();
+
+        const reopened = new FileTaskRepository({ dir });
+        assert.deepEqual(await reopened.getTasks('meeting-a'), [task]);
+        assert.equal(
+            (await reopened.getSuggestion('suggestion-1')).status,
+            'pending'
+        );
+        assert.deepEqual(await fs.readdir(dir), ['tasks.json']);
+    });
+
+    it('starts empty without a file', async () => {
+        const repository = new FileTaskRepository({ dir });
+        assert.deepEqual(await repository.getTasks('meeting-a'), []);
+    });
+
+    it('moves an unreadable file aside and starts empty', async () => {
+        await fs.writeFile(file, '{"tasks": [');
+
+        const repository = new FileTaskRepository({ dir });
+        assert.deepEqual(await repository.getTasks('meeting-a'), []);
+
+        const [aside, ...rest] = await fs.readdir(dir);
+        assert.match(aside, /^tasks\.json\.corrupt-\d+$/);
+        assert.deepEqual(rest, []);
+        assert.equal(
+            await fs.readFile(path.join(dir, aside), 'utf-8'),
+            '{"tasks": ['
+        );
+
+        await repository.saveTask(task);
+        assert.deepEqual(JSON.parse(await fs.readFile(file, 'utf-8')).tasks, [
+            task,
+        ]);
+    });
+
+    it('retries loading after a read error', async () => {
+        // reading a folder fails with EISDIR rather than ENOENT
+        await fs.mkdir(file);
+
+        const repository = new FileTaskRepository({ dir });
+        await assert.rejects(repository.getTasks('meeting-a'), {
+            code: 'EISDIR',
+        });
+
+        await fs.rmdir(file);
+        await fs.writeFile(file, JSON.stringify({ tasks: [task] }));
+        assert.deepEqual(await repository.getTasks('meeting-a'), [task]);
+    });
+});
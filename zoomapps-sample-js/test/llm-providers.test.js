@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+
+// config.js reads the environment on import, so set it up first
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    ZM_CLIENT_ID: 'test-client-id',
+    ZM_CLIENT_SECRET: 'test-client-secret',
+    ZM_REDIRECT_URL: 'http://localhost/auth',
+    SESSION_SECRET: 'test-session-secret',
+    LLM_PROVIDER: 'mock',
+    STORAGE_DRIVER: 'memory',
+});
+
+const { MockProvider, createLlmProvider } = await import(
+    '../server/services/llm-providers.js'
+);
+const { transcriptAnalyzer } = await import(
+    '../server/services/gpt4-analyzer.js'
+);
+
+// keep the analyzer's console logging out of the test report
+mock.method(console, 'log', () => {});
+
+/**
+ * A prompt with a transcript laid out like the analyzer's
+ */
+function promptFor(lines) {
+    return `Analyze the following meeting conversation transcript.
+
+Conversation transcript:
+${lines.join('\n')}
+
+Respond with a JSON object in this exact format:`;
+}
+
+describe('MockProvider', () => {
+    it("answers with the rule detector's verdict on the transcript", async () => {
+        const provider = new MockProvider();
+        const {
+            text,
+            model,
+            provider: name,
+        } = await provider.complete({
+            system: 'You are a task assistant.',
+            prompt: promptFor([
+                'Bob: Morning all',
+                'Alice: Can you schedule a sync with the design team?',
+            ]),
+        });
+
+        assert.equal(name, 'mock');
+        assert.equal(model, 'mock');
+        assert.deepEqual(JSON.parse(text), {
+            taskDetected: true,
+            taskType: 'meeting',
+            taskDescription: 'Can you schedule a sync with the design team?',
+            suggestedAction:
+                'Create meeting: Can you schedule a sync with the design team?',
+            requiresBackend: false,
+            confidence: 0.7,
+            relevantSpeakers: ['Alice'],
+        });
+    });
+
+    it('keeps colons inside what was said', async () => {
+        const provider = new MockProvider();
+        const { text } = await provider.complete({
+            prompt: promptFor(['Alice: Action item: fix the login API']),
+        });
+
+        assert.equal(
+            JSON.parse(text).taskDescription,
+            'Action item: fix the login API'
+        );
+    });
+
+    it('reports no task without a transcript in the prompt', async () => {
+        const provider = new MockProvider();
+        const { text } = await provider.complete({ prompt: 'Hello' });
+
+        assert.equal(JSON.parse(text).taskDetected, false);
+    });
+
+    it('always answers with a fixed response when given one', async () => {
+        const provider = new MockProvider({ mockResponse: 'not json' });
+        const { text } = await provider.complete({
+            prompt: promptFor(["Alice: Let's create a Jira ticket"]),
+        });
+
+        assert.equal(text, 'not json');
+    });
+});
+
+describe('createLlmProvider', () => {
+    it('builds the mock provider and none without a name', () => {
+        assert.ok(
+            createLlmProvider({ provider: 'mock' }) instanceof MockProvider
+        );
+        assert.equal(createLlmProvider({}), null);
+    });
+
+    it('rejects an unknown provider', () => {
+        assert.throws(
+            () => createLlmProvider({ provider: 'unknown' }),
+            /Unknown LLM provider: unknown/
+        );
+    });
+});
+
+describe('transcript analysis with LLM_PROVIDER=mock', () => {
+    it('turns a request in the transcript into a pending suggestion', async () => {
+        const meetingUuid = 'mock-provider-meeting';
+        transcriptAnalyzer.addTranscriptToContext(meetingUuid, {
+            speaker_name: 'Bob',
+            text: 'The login page is broken again',
+        });
+        transcriptAnalyzer.addTranscriptToContext(meetingUuid, {
+            speaker_name: 'Alice',
+            text: "Let's create a Jira ticket for the login bug",
+        });
+
+        const suggestion = await transcriptAnalyzer.analyzeContext(meetingUuid);
+        transcriptAnalyzer.clearMeetingContext(meetingUuid);
+
+        // came from the provider's reply, not the rule detector directly
+        assert.equal(suggestion.detector, undefined);
+        assert.equal(suggestion.taskType, 'jira');
+        assert.equal(suggestion.status, 'pending');
+        assert.deepEqual(suggestion.relevantSpeakers, ['Alice']);
+    });
+});
@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    detectionThreshold,
+    detectTask,
+    scoreUtterance,
+} from '../server/services/rule-detector.js';
+
+describe('scoreUtterance', () => {
+    it('adds up every cue of a full request', () => {
+        const score = scoreUtterance(
+            "Let's create a Jira ticket for the login bug, assign it to Dana by Friday",
+            'Alice'
+        );
+
+        assert.equal(score.taskType, 'jira');
+        assert.equal(score.assignee, 'Dana');
+        assert.equal(score.deadline, 'by Friday');
+        assert.deepEqual(score.cues, [
+            'intent',
+            'imperative',
+            'object',
+            'assignee',
+            'deadline',
+        ]);
+        // capped below certainty
+        assert.equal(score.confidence, 0.95);
+    });
+
+    it('assigns "I\'ll ..." to the speaker', () => {
+        const score = scoreUtterance(
+            "I'll open a pull request for the fix",
+            'Alice'
+        );
+
+        assert.equal(score.taskType, 'coding');
+        assert.equal(score.assignee, 'Alice');
+        assert.equal(score.confidence, 0.8);
+    });
+
+    it('scores talk about work without a request as 0', () => {
+        const score = scoreUtterance(
+            'The ticket from last week was interesting'
+        );
+
+        assert.deepEqual(score.cues, ['object']);
+        assert.equal(score.confidence, 0);
+    });
+
+    it('lowers the score of a request that is taken back', () => {
+        const request = scoreUtterance("Let's create a ticket");
+        const retracted = scoreUtterance("Let's create a ticket, never mind");
+
+        assert.ok(retracted.cues.includes('negation'));
+        assert.ok(retracted.confidence < request.confidence);
+        assert.ok(retracted.confidence <= detectionThreshold);
+    });
+});
+
+describe('detectTask', () => {
+    it('reports the highest scoring utterance as the task', () => {
+        const analysis = detectTask([
+            { speaker: 'Bob', text: 'Hello everyone' },
+            {
+                speaker: 'Alice',
+                text: 'Can you schedule a sync with the design team?',
+            },
+            { speaker: 'Bob', text: 'Sounds good' },
+        ]);
+
+        assert.equal(analysis.taskDetected, true);
+        assert.equal(analysis.taskType, 'meeting');
+        assert.equal(
+            analysis.taskDescription,
+            'Can you schedule a sync with the design team?'
+        );
+        assert.deepEqual(analysis.relevantSpeakers, ['Alice']);
+        assert.equal(analysis.confidence, 0.7);
+        assert.equal(analysis.detector, 'rules');
+    });
+
+    it('prefers the most recent of equally scored utterances', () => {
+        const analysis = detectTask([
+            { speaker: 'Alice', text: "I'll open a pull request for the fix" },
+            { speaker: 'Bob', text: "I'll open a pull request for the docs" },
+        ]);
+
+        assert.deepEqual(analysis.relevantSpeakers, ['Bob']);
+    });
+
+    it('reports no task for small talk', () => {
+        const analysis = detectTask([
+            { speaker: 'Bob', text: 'Hello everyone' },
+            { speaker: 'Alice', text: 'We talked about the deck' },
+        ]);
+
+        assert.equal(analysis.taskDetected, false);
+        assert.equal(analysis.confidence, 0);
+        assert.deepEqual(analysis.relevantSpeakers, []);
+    });
+
+    it('does not report a task below the detection threshold', () => {
+        const analysis = detectTask([
+            { speaker: 'Alice', text: 'We should update it' },
+        ]);
+
+        assert.ok(analysis.confidence > 0);
+        assert.ok(analysis.confidence <= detectionThreshold);
+        assert.equal(analysis.taskDetected, false);
+    });
+});
@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    parseJsonReply,
+    repairTaskAnalysis,
+    validateTaskAnalysis,
+} from '../server/helpers/task-schema.js';
+
+const task = {
+    taskDetected: true,
+    taskType: 'jira',
+    taskDescription: 'Create a ticket for the login bug',
+    confidence: 0.9,
+    relevantSpeakers: ['Alice'],
+};
+
+describe('validateTaskAnalysis', () => {
+    it('accepts a detected task', async () => {
+        assert.deepEqual(await validateTaskAnalysis(task), []);
+    });
+
+    it('accepts a "no task" reply with null task fields', async () => {
+        const reply = {
+            taskDetected: false,
+            taskType: null,
+            taskDescription: null,
+            confidence: 0,
+        };
+        assert.deepEqual(await validateTaskAnalysis(reply), []);
+    });
+
+    it('accepts a "no task" reply with empty task fields', async () => {
+        const reply = {
+            taskDetected: false,
+            taskType: '',
+            taskDescription: '',
+            confidence: 0,
+            relevantSpeakers: null,
+        };
+        assert.deepEqual(await validateTaskAnalysis(reply), []);
+    });
+
+    it('requires a known type and a description for a detected task', async () => {
+        const errors = await validateTaskAnalysis({
+            ...task,
+            taskType: 'chore',
+            taskDescription: null,
+        });
+        assert.equal(errors.length, 2);
+        assert.match(errors[0], /taskType must be one of/);
+        assert.match(errors[1], /taskDescription must be a string/);
+    });
+
+    it('rejects replies that are not objects', async () => {
+        assert.deepEqual(await validateTaskAnalysis([task]), [
+            'reply must be a JSON object',
+        ]);
+    });
+});
+
+describe('repairTaskAnalysis', () => {
+    it('fixes string booleans, percent confidence and null defaults', async () => {
+        const repaired = repairTaskAnalysis({
+            taskDetected: 'true',
+            taskType: ' Jira ',
+            taskDescription: 'File the bug',
+            confidence: '85',
+            relevantSpeakers: null,
+        });
+
+        assert.deepEqual(repaired, {
+            taskDetected: true,
+            taskType: 'jira',
+            taskDescription: 'File the bug',
+            confidence: 0.85,
+            relevantSpeakers: [],
+        });
+        assert.deepEqual(await validateTaskAnalysis(repaired), []);
+    });
+
+    it('defaults a missing task type to other', () => {
+        const repaired = repairTaskAnalysis({ ...task, taskType: '' });
+        assert.equal(repaired.taskType, 'other');
+    });
+});
+
+describe('parseJsonReply', () => {
+    it('finds the JSON object in a fenced reply', () => {
+        const text = 'Here you go:\n```json\n{"taskDetected": false}\n```';
+        assert.deepEqual(parseJsonReply(text), { taskDetected: false });
+    });
+
+    it('throws when there is no JSON object', () => {
+        assert.throws(() => parseJsonReply('no task here'), SyntaxError);
+    });
+});